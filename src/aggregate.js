@@ -0,0 +1,29 @@
+/** Aggregation mode: one record per tool across every listing that showed it. */
+import { PAGE_KIND, cleanItem, mergeItem, txt, withPageNo } from './extractors.js';
+
+/** One listing appearance: the listing's first-page URL, its kind and the tool's rank across its pages. */
+export const appearance = (pageUrl, pageKind, position) => ({ listingUrl: withPageNo(pageUrl, 1), pageKind, position });
+
+/** Folds another listing's copy of a tool into the buffered record; the buffered values win, lists are unioned. */
+export const mergeSighting = (record, listed, { keepProvenance = false } = {}) => {
+    const merged = mergeItem(record, cleanItem(listed));
+    if (!keepProvenance) delete merged._provenance;
+    return merged;
+};
+
+const searchQuery = (url) => {
+    try { return txt(new URL(url).searchParams.get('q')) || null; } catch { return null; }
+};
+
+/** `foundInCategories` (listing URLs), `foundInSearches` (queries) and the best `position` across appearances. */
+export const appearanceFields = (appearances = []) => {
+    const of = (kind) => appearances.filter((a) => a.pageKind === kind);
+    const categories = [...new Set(of(PAGE_KIND.CATEGORY).map((a) => a.listingUrl))];
+    const searches = [...new Set(of(PAGE_KIND.SEARCH).map((a) => searchQuery(a.listingUrl)).filter(Boolean))];
+    const positions = appearances.map((a) => a.position).filter(Number.isFinite);
+    return {
+        foundInCategories: categories.length ? categories : null,
+        foundInSearches: searches.length ? searches : null,
+        bestPosition: positions.length ? Math.min(...positions) : null,
+    };
+};
@@ -0,0 +1,37 @@
+/** Crawl budgets: each seed's share of `results_wanted` and the run's request ceiling. */
+
+// Room for pagination recoveries and blocked-seed fallbacks, and the hard ceiling whatever the input
+const RECOVERY_REQUESTS = 50;
+const MAX_REQUESTS = 50000;
+
+/**
+ * Result limit per seed from `[{ seed, budget, claims, finished }]`, where `budget` is the seed's own
+ * `resultsWanted` (null for an even share of what is left, so the first start URL cannot use up the whole run).
+ * A finished seed only holds what it claimed, so the share a seed leaves unused when its listing runs dry goes to
+ * the seeds still crawling.
+ */
+export const seedLimits = (total, seeds) => {
+    let pool = total;
+    let open = 0;
+    for (const s of seeds) {
+        if (s.budget != null) pool -= s.finished ? Math.min(s.claims, s.budget) : s.budget;
+        else if (s.finished) pool -= s.claims;
+        else open += 1;
+    }
+    const share = open ? Math.ceil(Math.max(pool, 0) / open) : 0;
+    return new Map(seeds.map((s) => [s.seed, s.budget ?? (s.finished ? s.claims : share)]));
+};
+
+/**
+ * `maxRequestsPerCrawl` for the normalized input: the listing pages of the run's mode plus the detail, review
+ * and graph-expansion pages it asked for. `seedMaxPages(url)` is a start URL's page limit.
+ */
+export const requestBudget = (input, seedMaxPages = () => input.maxPages) => {
+    const details = input.collectDetails ? input.maxDetailPages : 0;
+    const reviews = input.collectReviews ? input.resultsWanted * input.maxReviewPages : 0;
+    const graph = input.graphDepth ? input.maxGraphNodes * input.maxPages : 0;
+    let listings = input.startUrls.reduce((n, url) => n + seedMaxPages(url), 0);
+    if (input.mode === 'categories') listings = input.maxCategoryPages * (input.seedCategories === 'none' ? 1 : 1 + input.maxPages);
+    else if (input.mode === 'sitemap') listings = input.resultsWanted;
+    return Math.min(listings + details + reviews + graph + RECOVERY_REQUESTS, MAX_REQUESTS);
+};
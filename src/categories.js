@@ -0,0 +1,93 @@
+/** Category discovery: the AlternativeTo category hierarchy from the category index and category pages. */
+import { BASE_URL, absUrl, intVal, txt } from './extractors.js';
+
+export const CATEGORY_INDEX_URL = new URL('category/', BASE_URL).href;
+export const CATEGORY_SEEDING = Object.freeze(['none', 'leaves', 'matching']);
+
+const CATEGORY_PATH_RE = /^\/category\/([a-z0-9-]+)\/(?:([a-z0-9-]+)\/)?$/i;
+// "AI Image Generator 312", "AI Image Generator (312)", "312 apps"
+const COUNT_RE = /\(?\b(\d[\d,]*)\)?\s*(?:apps?|tools?|alternatives|software|items?)?\s*$/i;
+
+/** `{ slug, parent, parentUrl, url }` for a category page URL, or null for anything else (the index included). */
+export const categoryRef = (href, base = BASE_URL) => {
+    const abs = absUrl(href, base);
+    if (!abs) return null;
+    try {
+        const u = new URL(abs);
+        if (!/(?:^|\.)alternativeto\.net$/i.test(u.hostname)) return null;
+        const path = u.pathname.replace(/\/+/g, '/').replace(/\/?$/, '/').toLowerCase();
+        const m = path.match(CATEGORY_PATH_RE);
+        if (!m) return null;
+        const [, top, sub] = m;
+        const topUrl = new URL(`category/${top}/`, BASE_URL).href;
+        return sub
+            ? { slug: sub, parent: top, parentUrl: topUrl, url: new URL(`category/${top}/${sub}/`, BASE_URL).href }
+            : { slug: top, parent: null, parentUrl: null, url: topUrl };
+    } catch { return null; }
+};
+
+const nameAndCount = (text) => {
+    const clean = txt(text);
+    const m = clean.match(COUNT_RE);
+    if (!m || m.index === 0) return { name: clean || null, itemCount: null };
+    return { name: txt(clean.slice(0, m.index)) || null, itemCount: intVal(m[1]) };
+};
+
+/** Every category linked from a page, with the link's name and item count when it shows one. */
+export const extractCategoryLinks = ($, pageUrl) => {
+    const self = categoryRef(pageUrl)?.url;
+    const found = new Map();
+    $('a[href*="/category/"]').each((_, el) => {
+        const ref = categoryRef($(el).attr('href'), pageUrl);
+        if (!ref || ref.url === self) return;
+        const { name, itemCount } = nameAndCount($(el).attr('title') || $(el).text());
+        const prev = found.get(ref.url);
+        found.set(ref.url, { ...ref, name: prev?.name || name, itemCount: prev?.itemCount ?? itemCount });
+    });
+    return [...found.values()];
+};
+
+/** Name (page heading) and item count a category page shows about itself. */
+export const categoryPageInfo = ($) => {
+    const heading = txt($('h1').first().text()) || null;
+    const countText = txt($('h1').first().parent().text()).match(/(\d[\d,]*)\s+(?:apps|alternatives|tools)\b/i);
+    return { name: heading, itemCount: countText ? intVal(countText[1]) : null };
+};
+
+/**
+ * Output entries sorted by URL. `isLeaf` is true for a visited category without subcategories,
+ * false when subcategories are known, and null for a category that was never visited.
+ */
+export const categoryEntries = (found) => {
+    const list = [...found.values()];
+    const parents = new Set(list.map((c) => c.parentUrl).filter(Boolean));
+    return list
+        .map((c) => ({
+            slug: c.slug,
+            name: c.name || null,
+            parent: c.parent,
+            parentUrl: c.parentUrl,
+            url: c.url,
+            itemCount: c.itemCount ?? null,
+            isLeaf: parents.has(c.url) ? false : c.visited ? true : null,
+        }))
+        .sort((a, b) => a.url.localeCompare(b.url));
+};
+
+/** Nested `{ slug, name, url, itemCount, children }` roots; subcategories of unknown parents become roots. */
+export const categoryTree = (entries) => {
+    const nodes = new Map(entries.map((c) => [c.url, { slug: c.slug, name: c.name, url: c.url, itemCount: c.itemCount, children: [] }]));
+    const roots = [];
+    for (const c of entries) {
+        const parent = c.parentUrl && nodes.get(c.parentUrl);
+        (parent ? parent.children : roots).push(nodes.get(c.url));
+    }
+    return roots;
+};
+
+/** Category URLs to seed the listing crawl with: every leaf, or every category whose name or slug matches. */
+export const selectCategorySeeds = (entries, seeding, pattern) => {
+    if (seeding === 'leaves') return entries.filter((c) => c.isLeaf).map((c) => c.url);
+    if (seeding === 'matching') return entries.filter((c) => pattern.test(c.name || '') || pattern.test(c.slug)).map((c) => c.url);
+    return [];
+};
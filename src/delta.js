@@ -0,0 +1,95 @@
+/** Delta mode: items compared against the snapshot saved by the previous run. */
+import { originsOf, txt } from './extractors.js';
+
+export const DELTA_SNAPSHOT_KEY = 'SNAPSHOT';
+export const DELTA_SNAPSHOT_VERSION = 1;
+
+// Fields compared between runs; everything else on the item is volatile or derived
+export const DELTA_FIELDS = Object.freeze([
+    'title', 'description', 'category', 'rating', 'likes',
+    'pricing', 'cost', 'license', 'platforms', 'origins', 'developer', 'website',
+]);
+
+const present = (v) => (Array.isArray(v) ? v.length > 0 : v != null && v !== '');
+// Origins compare by country code, so snapshots from before `{ code, name }` origins still match
+const comparable = (field, v) => {
+    if (!Array.isArray(v)) return v;
+    return (field === 'origins' ? originsOf(v).map((o) => o.code || o.name) : v.map(txt)).sort().join('\n');
+};
+
+export const emptyDeltaSnapshot = () => ({ version: DELTA_SNAPSHOT_VERSION, updatedAt: null, items: {}, seeds: {} });
+
+/** Accepts whatever the store returned; anything unrecognized starts from an empty snapshot. */
+export const loadDeltaSnapshot = (value) => {
+    if (!value || typeof value !== 'object' || value.version !== DELTA_SNAPSHOT_VERSION) return emptyDeltaSnapshot();
+    return {
+        ...emptyDeltaSnapshot(),
+        updatedAt: value.updatedAt || null,
+        items: value.items && typeof value.items === 'object' ? value.items : {},
+        seeds: value.seeds && typeof value.seeds === 'object' ? value.seeds : {},
+    };
+};
+
+/** The compact per-URL record kept in the snapshot. */
+export const deltaRecord = (item) => Object.fromEntries(DELTA_FIELDS.filter((f) => present(item[f])).map((f) => [f, item[f]]));
+
+/**
+ * Per-field `{ from, to }` diff, or null when nothing changed.
+ * Fields the new item does not carry are not compared — listing pages do not always expose every field.
+ */
+export const diffRecords = (prev, next) => {
+    const changes = {};
+    for (const field of DELTA_FIELDS) {
+        if (!present(next[field])) continue;
+        if (comparable(field, prev[field] ?? null) === comparable(field, next[field])) continue;
+        changes[field] = { from: prev[field] ?? null, to: next[field] };
+    }
+    return Object.keys(changes).length ? changes : null;
+};
+
+/** `{ deltaStatus, deltaChanges }` for an item against the previous snapshot. */
+export const classifyDelta = (snapshot, item) => {
+    const prev = snapshot.items[item.url];
+    if (!prev) return { deltaStatus: 'new', deltaChanges: null };
+    const deltaChanges = diffRecords(prev, item);
+    return { deltaStatus: deltaChanges ? 'changed' : 'unchanged', deltaChanges };
+};
+
+/**
+ * Builds the snapshot for the next run, the `removed` records for this one and `seedRemovals`, each seed's
+ * removal count. `seen` maps each seed to the URLs its listing pages showed; only seeds in `completeSeeds`
+ * (crawled to the end without hitting a budget or failing) can report removals — a truncated crawl proves
+ * nothing, so those seeds get 'unknown'.
+ */
+export const nextDeltaSnapshot = (prev, { pushedItems, seen, completeSeeds, now = new Date().toISOString() }) => {
+    const items = { ...prev.items };
+    for (const item of pushedItems) {
+        items[item.url] = { ...items[item.url], ...deltaRecord(item), firstSeenAt: items[item.url]?.firstSeenAt || now, lastSeenAt: now };
+    }
+
+    const seeds = { ...prev.seeds };
+    const removed = [];
+    const seedRemovals = {};
+    for (const [seed, urls] of seen) {
+        const before = prev.seeds[seed] || [];
+        if (!completeSeeds.has(seed)) {
+            seeds[seed] = [...new Set([...before, ...urls])];
+            seedRemovals[seed] = 'unknown';
+            continue;
+        }
+        seeds[seed] = [...urls];
+        const count = removed.length;
+        for (const url of before) {
+            // Only tools an earlier run actually pushed can be reported as removed
+            if (urls.has(url) || !items[url]) continue;
+            removed.push({ ...items[url], url, seedUrl: seed, deltaStatus: 'removed', deltaChanges: null, _source: 'alternativeto' });
+        }
+        seedRemovals[seed] = removed.length - count;
+    }
+
+    // A URL no seed lists any more is dropped; it comes back as `new` if it reappears
+    const listed = new Set(Object.values(seeds).flat());
+    for (const url of Object.keys(items)) if (!listed.has(url)) delete items[url];
+
+    return { snapshot: { version: DELTA_SNAPSHOT_VERSION, updatedAt: now, items, seeds }, removed, seedRemovals };
+};
@@ -0,0 +1,45 @@
+/** HTTP mode: what a page's static HTML yields, and whether the page has to go to the browser instead. */
+import {
+    blocked, extractDetailPage, extractFromPage, extractPrimaryListingUrls, isSparseListingItem,
+} from './extractors.js';
+
+/**
+ * `{ escalate, extracted, listingUrls, missing, sparse }` for a listing page. `escalate` is 'blocked' for a
+ * block page, 'sparse' when static extraction found nothing, missed a listed tool or left one sparse, and null
+ * when the HTTP result is as good as a browser's.
+ */
+export const httpListing = ($, body, pageUrl) => {
+    if (blocked($, body)) return { escalate: 'blocked', extracted: [], listingUrls: new Set(), missing: 0, sparse: 0 };
+    let extracted = extractFromPage($, pageUrl);
+    const listingUrls = extractPrimaryListingUrls($, pageUrl);
+    if (listingUrls.size) extracted = extracted.filter((it) => listingUrls.has(it.url));
+    const extractedUrls = new Set(extracted.map((it) => it.url));
+    const missing = [...listingUrls].filter((url) => !extractedUrls.has(url)).length;
+    const sparse = extracted.filter((it) => isSparseListingItem(it)).length;
+    return { escalate: !extracted.length || missing || sparse ? 'sparse' : null, extracted, listingUrls, missing, sparse };
+};
+
+/** `{ escalate, detail }` for an about page; a page without the tool's title goes to the browser as 'sparse'. */
+export const httpDetail = ($, body, pageUrl) => {
+    if (blocked($, body)) return { escalate: 'blocked', detail: null };
+    const detail = extractDetailPage($, pageUrl);
+    return { escalate: detail?.title ? null : 'sparse', detail };
+};
+
+/**
+ * 'http' or 'browser': the crawler a request goes to. In HTTP mode listing and category pages (and sitemap about
+ * pages) go to the HTTP crawler even when a browser-rendered page queued them, so one escalated page does not move
+ * the rest of its listing to the browser. Escalated copies, listing details and reviews need the browser.
+ */
+export const crawlerFor = ({ userData = {} }, { httpMode }) => {
+    if (!httpMode || userData.escalated) return 'browser';
+    const label = userData.label || 'LIST';
+    return label === 'LIST' || label === 'CATEGORY' || (label === 'DETAIL' && userData.sitemap) ? 'http' : 'browser';
+};
+
+/** The browser-phase copy of an HTTP request, keyed apart so the shared queue does not drop it as handled. */
+export const browserRequest = (request, reason) => ({
+    url: request.url,
+    uniqueKey: `browser:${request.uniqueKey}`,
+    userData: { ...request.userData, escalated: reason },
+});
@@ -0,0 +1,986 @@
+/**
+ * AlternativeTo extraction library — pure functions, no Actor or crawler side effects.
+ *
+ * Every extractor takes a Cheerio root (`$`) and the page URL and returns items
+ * already passed through `cleanItem()`. `extractFromPage()` runs all sources in
+ * priority order (API payloads, Next.js Flight, __NEXT_DATA__, JSON-LD, HTML cards)
+ * and merges them per tool URL with `mergeItem()`.
+ *
+ * @example
+ * import { load } from 'cheerio';
+ * import { extractFromPage } from 'alternativeto-scraper';
+ * const items = extractFromPage(load(html), 'https://alternativeto.net/software/gimp/');
+ */
+import vm from 'node:vm';
+import { licensingOf, originsOf, platformIdsOf } from './taxonomy.js';
+
+// The normalized vocabularies are part of the library surface too
+export {
+    LICENSE_FAMILY_TABLE, PLATFORMS, PLATFORM_ALIAS_TABLE, PRICING_MODELS, PRICING_MODEL_TABLE,
+    canonicalPlatform, countryCode, countryFromCode, licensingOf, originOf, originsOf, platformIdsOf,
+} from './taxonomy.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+export const BASE_URL = 'https://alternativeto.net/';
+export const DEFAULT_START = 'https://alternativeto.net/category/ai-tools/ai-image-generator/';
+export const TOOL_URL_RE = /^https:\/\/(?:www\.)?alternativeto\.net\/software\/[^/?#]+\/?$/i;
+const ALT_DOMAIN_RE = /(?:^|\.)alternativeto\.net$/i;
+export const PAGE_KIND = Object.freeze({ SEARCH: 'search', CATEGORY: 'category', SOFTWARE: 'software', OTHER: 'other' });
+export const PRICING_RE = /(free|paid|freemium|subscription|trial|one[-\s]?time|lifetime)/i;
+export const LICENSE_TYPE_RE = /(open\s*source|opensource|proprietary|commercial|apache|mit|gpl|bsd|mozilla|agpl|lgpl|mpl|cc0)/i;
+const BLOCKED_TITLES = [/access denied/i, /captcha/i, /forbidden/i, /verify/i];
+
+// ─── Utility helpers ─────────────────────────────────────────────────────────
+export const txt = (v) => (v ? String(v).replace(/\s+/g, ' ').trim() : '');
+export const uniq = (value) => {
+    if (value == null) return [];
+    const list = Array.isArray(value)
+        ? value
+        : typeof value === 'string'
+            ? value.split(/[|,;/]+/)
+            : typeof value === 'object'
+                ? Object.values(value)
+                : [value];
+    return [...new Set(list.map((v) => txt(typeof v === 'object' ? v?.name ?? v?.title ?? '' : v)).filter(Boolean))];
+};
+
+export const absUrl = (href, base = BASE_URL) => {
+    if (!href || typeof href === 'object') return null;
+    const clean = txt(href);
+    if (!clean) return null;
+    try { return new URL(clean, base).href; } catch { return null; }
+};
+
+export const toolUrl = (href, base = BASE_URL) => {
+    const url = absUrl(href, base);
+    if (!url) return null;
+    const clean = url.split('#')[0].replace(/\/about\/?$/i, '/').replace(/\/reviews\/?$/i, '/');
+    return TOOL_URL_RE.test(clean) ? clean : null;
+};
+
+export const intVal = (v) => { const m = txt(v).match(/(\d[\d,]*)/); if (!m) return null; const n = parseInt(m[1].replaceAll(',', ''), 10); return Number.isFinite(n) ? n : null; };
+export const floatVal = (v) => { const m = txt(v).match(/(\d+(?:\.\d+)?)/); if (!m) return null; const n = parseFloat(m[1]); return Number.isFinite(n) ? n : null; };
+const hasPricingToken = (v) => PRICING_RE.test(txt(v));
+const hasLicenseToken = (v) => LICENSE_TYPE_RE.test(txt(v));
+export const parseJson = (s) => { try { return JSON.parse(s); } catch { return null; } };
+
+export const externalUrl = (href, base = BASE_URL) => {
+    const url = absUrl(href, base);
+    if (!url) return null;
+    try {
+        const u = new URL(url);
+        return /^https?:$/.test(u.protocol) && !ALT_DOMAIN_RE.test(u.hostname) ? u.href : null;
+    } catch { return null; }
+};
+
+const isNoiseFieldValue = (v) => {
+    const c = txt(v).toLowerCase();
+    return !c || c === 'application type' || c === 'cost / license' || c === 'origin' || c === 'platforms';
+};
+
+// ─── URL helpers ─────────────────────────────────────────────────────────────
+export const classifyPageKind = (urlValue) => {
+    try {
+        const path = new URL(urlValue).pathname.toLowerCase();
+        if (path.startsWith('/browse/search/')) return PAGE_KIND.SEARCH;
+        if (path.startsWith('/category/')) return PAGE_KIND.CATEGORY;
+        if (/^\/software\/[^/]+\/?$/.test(path)) return PAGE_KIND.SOFTWARE;
+        return PAGE_KIND.OTHER;
+    } catch { return PAGE_KIND.OTHER; }
+};
+
+export const normalizeStartUrl = (candidate) => {
+    const absolute = absUrl(candidate);
+    if (!absolute) return null;
+    try {
+        const u = new URL(absolute);
+        if (!ALT_DOMAIN_RE.test(u.hostname)) return null;
+        u.hash = ''; u.protocol = 'https:'; u.hostname = 'alternativeto.net';
+        const path = u.pathname.replace(/\/+/g, '/').replace(/\/$/, '') || '/';
+        if (path === '/software' && txt(u.searchParams.get('q'))) u.pathname = '/browse/search/';
+        else if (/^\/software\/[^/]+\/(?:about|reviews|alternatives)$/i.test(path)) u.pathname = `${path.split('/').slice(0, 3).join('/')}/`;
+        else if (/^\/software\/[^/]+$/i.test(path)) u.pathname = `${path}/`;
+        else if (/^\/category\/.+/i.test(path) && !path.endsWith('/')) u.pathname = `${path}/`;
+        else if (/^\/browse\/search$/i.test(path)) u.pathname = '/browse/search/';
+        return u.href;
+    } catch { return absolute; }
+};
+
+export const blockedStartFallbacks = (blockedUrl) => {
+    const candidates = [];
+    const add = (url) => { const n = normalizeStartUrl(url); if (n) candidates.push(n); };
+    try {
+        const u = new URL(blockedUrl);
+        const path = u.pathname.toLowerCase();
+        const alt = new URL(u.href);
+        alt.hostname = u.hostname === 'www.alternativeto.net' ? 'alternativeto.net' : 'www.alternativeto.net';
+        add(alt.href);
+        if (path.startsWith('/category/')) {
+            const segments = path.split('/').filter(Boolean);
+            if (segments.length >= 2) add(`https://alternativeto.net/${segments[0]}/${segments[1]}/`);
+        } else if (path.startsWith('/browse/search/')) {
+            const q = txt(u.searchParams.get('q'));
+            if (q) add(`https://alternativeto.net/browse/search/?q=${encodeURIComponent(q)}&p=2`);
+            add(DEFAULT_START);
+        }
+    } catch { /* malformed URL */ }
+    return [...new Set(candidates.filter((c) => c !== blockedUrl))];
+};
+
+export const pageNoFromUrl = (urlValue) => {
+    try {
+        const parsed = new URL(urlValue);
+        const pageNo = parseInt(parsed.searchParams.get('p') || '1', 10);
+        return Number.isFinite(pageNo) && pageNo > 0 ? pageNo : 1;
+    } catch { return 1; }
+};
+
+export const withPageNo = (urlValue, pageNo) => {
+    try {
+        const parsed = new URL(urlValue);
+        if (!Number.isFinite(pageNo) || pageNo <= 0) return parsed.href;
+        if (pageNo <= 1) parsed.searchParams.delete('p');
+        else parsed.searchParams.set('p', String(pageNo));
+        return parsed.href;
+    } catch { return null; }
+};
+
+export const toggleAlternativeToHost = (urlValue) => {
+    try {
+        const parsed = new URL(urlValue);
+        if (!ALT_DOMAIN_RE.test(parsed.hostname)) return null;
+        parsed.hostname = parsed.hostname === 'www.alternativeto.net' ? 'alternativeto.net' : 'www.alternativeto.net';
+        return parsed.href;
+    } catch { return null; }
+};
+
+const toolSubpageUrl = (href, subpage) => {
+    const url = toolUrl(href);
+    return url ? `${url.replace(/\/?$/, '/')}${subpage}/` : null;
+};
+
+export const aboutUrl = (href) => toolSubpageUrl(href, 'about');
+export const reviewsUrl = (href) => toolSubpageUrl(href, 'reviews');
+
+export const searchUrl = (keyword) => {
+    const u = new URL('browse/search/', BASE_URL);
+    u.searchParams.set('q', keyword);
+    return u.href;
+};
+
+// ─── Data cleaning ───────────────────────────────────────────────────────────
+// Item fields tracked in `_provenance` (everything but the URL key and `_source`)
+export const PROVENANCE_FIELDS = Object.freeze([
+    'title', 'description', 'category', 'rating', 'pricing', 'cost', 'license', 'likes',
+    'platforms', 'applicationTypes', 'images', 'origins', 'bestAlternative', 'developer',
+    'features', 'website', 'logoUrl',
+]);
+
+const hasValue = (v) => (Array.isArray(v) ? v.length > 0 : v != null && v !== '');
+const sameValue = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        // Origins compare by country code
+        const key = (x) => txt(x && typeof x === 'object' ? x.code || x.name : x).toLowerCase();
+        const set = (v) => [...new Set((v || []).map(key))].sort().join('\n');
+        return set(a) === set(b);
+    }
+    return typeof a === 'string' && typeof b === 'string' ? txt(a).toLowerCase() === txt(b).toLowerCase() : a === b;
+};
+
+// Already-cleaned items keep their provenance; raw extractor records are attributed to their `_source`
+const provenanceOf = (raw, item) => {
+    const out = {};
+    for (const field of PROVENANCE_FIELDS) {
+        if (hasValue(item[field])) out[field] = raw._provenance?.[field] || { source: raw._source || 'unknown' };
+    }
+    return out;
+};
+
+/** Normalizes a raw extractor record into the output item shape; returns null without a valid tool URL. */
+export const cleanItem = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const url = toolUrl(raw.url);
+    if (!url) return null;
+
+    const rating = Number.isFinite(raw.rating) ? raw.rating : floatVal(raw.rating);
+    const likes = Number.isFinite(raw.likes) ? Math.floor(raw.likes) : intVal(raw.likes);
+    const applicationTypes = uniq(raw.applicationTypes || []);
+    const category = txt(raw.category) || applicationTypes[0] || null;
+    const images = uniq((raw.images || []).map((img) => absUrl(img, url)).filter(Boolean));
+    const features = uniq(raw.features || []);
+    const platforms = uniq(raw.platforms || []);
+    const platformIds = platformIdsOf(platforms);
+    const origins = originsOf(Array.isArray(raw.origins) ? raw.origins : uniq(raw.origins));
+
+    let pricing = txt(raw.pricing);
+    let cost = txt(raw.cost);
+    let license = txt(raw.license);
+
+    const catVals = new Set([txt(category).toLowerCase(), ...applicationTypes.map((v) => txt(v).toLowerCase())].filter(Boolean));
+    if (catVals.has(pricing.toLowerCase())) pricing = '';
+    if (catVals.has(cost.toLowerCase())) cost = '';
+    if (catVals.has(license.toLowerCase())) license = '';
+
+    if (!pricing && hasPricingToken(cost)) pricing = cost;
+    if (!license && hasLicenseToken(cost)) license = cost;
+    if (!cost && (pricing || license)) cost = uniq([pricing, license]).join(' | ');
+
+    const item = {
+        title: txt(raw.title) || null,
+        description: txt(raw.description) || null,
+        category,
+        rating: Number.isFinite(rating) ? rating : null,
+        pricing: pricing || null,
+        cost: cost || null,
+        license: license || null,
+        ...licensingOf({ pricing, cost, license }),
+        likes: Number.isFinite(likes) ? likes : null,
+        platforms: platforms.length ? platforms : null,
+        platformIds: platformIds.length ? platformIds : null,
+        applicationTypes: applicationTypes.length ? applicationTypes : null,
+        images: images.length ? images : null,
+        origins: origins.length ? origins : null,
+        bestAlternative: txt(raw.bestAlternative) || null,
+        developer: txt(raw.developer) || null,
+        features: features.length ? features : null,
+        website: externalUrl(raw.website),
+        logoUrl: absUrl(raw.logoUrl, url),
+        url,
+        _source: 'alternativeto',
+    };
+    item._provenance = provenanceOf(raw, item);
+    return item;
+};
+
+/**
+ * Per-field `{ source, conflicts? }` after a merge: `source` is the extractor whose value won,
+ * `conflicts` lists differing values other extractors supplied (arrays count as differing when
+ * their sets differ, even though the merge unions them).
+ */
+const mergeProvenance = (a, b, merged) => {
+    const prov = (item, field) => item._provenance?.[field] || { source: item._source || 'unknown' };
+    const out = {};
+    for (const field of PROVENANCE_FIELDS) {
+        const value = merged[field];
+        if (!hasValue(value)) continue;
+        const fromB = !hasValue(a[field]) || (!sameValue(value, a[field]) && sameValue(value, b[field]));
+        const [winner, loser, loserValue] = fromB ? [b, a, a[field]] : [a, b, b[field]];
+        const candidates = [...(prov(winner, field).conflicts || [])];
+        if (hasValue(loserValue)) candidates.push({ source: prov(loser, field).source, value: loserValue }, ...(prov(loser, field).conflicts || []));
+        const conflicts = [];
+        for (const c of candidates) {
+            if (sameValue(c.value, value) || conflicts.some((k) => k.source === c.source && sameValue(k.value, c.value))) continue;
+            conflicts.push(c);
+        }
+        out[field] = conflicts.length ? { source: prov(winner, field).source, conflicts } : { source: prov(winner, field).source };
+    }
+    return out;
+};
+
+/** Merges two items for the same URL: `a` wins scalars, the longer description wins, arrays are unioned. */
+export const mergeItem = (a, b) => {
+    if (!a) return b;
+    if (!b) return a;
+    const p = (c, i) => (txt(c) ? c : (txt(i) ? i : null));
+    const mergeArr = (a1, a2) => { const m = uniq([...(a1 || []), ...(a2 || [])]); return m.length > 0 ? m : null; };
+    const origins = originsOf([...(a.origins || []), ...(b.origins || [])]);
+    const merged = {
+        ...a,
+        title: p(a.title, b.title),
+        description: txt(b.description).length > txt(a.description).length ? b.description : a.description,
+        category: p(a.category, b.category),
+        pricing: p(a.pricing, b.pricing),
+        cost: p(a.cost, b.cost),
+        license: p(a.license, b.license),
+        bestAlternative: p(a.bestAlternative, b.bestAlternative),
+        developer: p(a.developer, b.developer),
+        website: p(a.website, b.website),
+        logoUrl: p(a.logoUrl, b.logoUrl),
+        rating: Number.isFinite(a.rating) ? a.rating : (Number.isFinite(b.rating) ? b.rating : null),
+        likes: Number.isFinite(a.likes) ? a.likes : (Number.isFinite(b.likes) ? b.likes : null),
+        platforms: mergeArr(a.platforms, b.platforms),
+        applicationTypes: mergeArr(a.applicationTypes, b.applicationTypes),
+        images: mergeArr(a.images, b.images),
+        origins: origins.length ? origins : null,
+        features: mergeArr(a.features, b.features),
+    };
+    const platformIds = platformIdsOf(merged.platforms);
+    merged.platformIds = platformIds.length ? platformIds : null;
+    Object.assign(merged, licensingOf(merged));
+    merged._provenance = mergeProvenance(a, b, merged);
+    return merged;
+};
+
+export const listingSignalScore = (item) => {
+    const signals = [
+        txt(item?.description).length >= 20,
+        Number.isFinite(item?.rating),
+        Number.isFinite(item?.likes),
+        Boolean(txt(item?.pricing) || txt(item?.cost) || txt(item?.license)),
+        Boolean(txt(item?.logoUrl)),
+        Array.isArray(item?.platforms) && item.platforms.length > 0,
+        Array.isArray(item?.applicationTypes) && item.applicationTypes.length > 0,
+        Array.isArray(item?.origins) && item.origins.length > 0,
+        Array.isArray(item?.images) && item.images.length > 0,
+        Boolean(txt(item?.category)),
+        Boolean(txt(item?.developer)),
+    ];
+    return signals.filter(Boolean).length;
+};
+
+export const isSparseListingItem = (item) => listingSignalScore(item) < 3;
+
+// ─── Next.js Flight data extraction ─────────────────────────────────────────
+export const collectNextFlightEntries = ($) => {
+    const scripts = $('script').toArray().map((el) => $(el).text()).filter((t) => t && t.includes('self.__next_f.push('));
+    const collected = [];
+    for (const script of scripts) {
+        try {
+            vm.runInNewContext(script, { self: { __next_f: { push: (e) => collected.push(e) } } }, { timeout: 200 });
+        } catch { /* malformed chunk */ }
+    }
+    return collected;
+};
+
+// Chunk types pushed to `self.__next_f`: 0 = bootstrap, 1 = text, 2 = form state, 3 = base64 binary.
+// Rows may be split across chunks, so the stream is only meaningful once concatenated.
+const flightStream = (entries) => Buffer.concat(entries
+    .filter((e) => Array.isArray(e) && typeof e[1] === 'string' && (e[0] === 1 || e[0] === 3))
+    .map((e) => (e[0] === 3 ? Buffer.from(e[1], 'base64') : Buffer.from(e[1], 'utf8'))));
+
+/**
+ * Splits a Flight stream into raw rows: `id:JSON\n`, `id:<Tag>payload\n`, or
+ * `id:T<hexByteLength>,<text>` — text rows carry no newline and may span lines.
+ */
+const parseFlightRows = (buf) => {
+    const rows = new Map();
+    const NL = 0x0a;
+    let i = 0;
+    while (i < buf.length) {
+        const colon = buf.indexOf(':', i);
+        const lineEnd = buf.indexOf(NL, i);
+        if (colon < 0) break;
+        if (lineEnd >= 0 && lineEnd < colon) { i = lineEnd + 1; continue; }
+        const id = buf.toString('utf8', i, colon);
+        const j = colon + 1;
+        const tag = String.fromCharCode(buf[j]);
+
+        if (tag === 'T') {
+            const comma = buf.indexOf(',', j);
+            const length = parseInt(buf.toString('utf8', j + 1, comma), 16);
+            if (comma < 0 || !Number.isFinite(length)) break;
+            rows.set(id, { type: 'text', value: buf.toString('utf8', comma + 1, comma + 1 + length) });
+            i = comma + 1 + length;
+            continue;
+        }
+
+        const end = buf.indexOf(NL, j);
+        const stop = end < 0 ? buf.length : end;
+        i = stop + 1;
+        if (!/^[0-9a-f]+$/i.test(id)) continue; // hints (`:HL[...]`) have no id
+        // Tagged rows (I = client module, E = error, D = debug, ...) are not part of the model
+        if (/[A-Z]/.test(tag)) continue;
+        const value = parseJson(buf.toString('utf8', j, stop));
+        if (value !== null) rows.set(id, { type: 'json', value });
+    }
+    return rows;
+};
+
+/** Resolves `"$<id>"`, `"$L<id>"`, `"$@<id>"`, `"$Q<id>"`, `"$W<id>"` and `"$<id>:path"` references between rows. */
+const resolveFlightRows = (rows) => {
+    const resolved = new Map();
+
+    const resolveRow = (id) => {
+        if (resolved.has(id)) return resolved.get(id);
+        const row = rows.get(id);
+        if (!row) return null;
+        if (row.type === 'text' || !row.value || typeof row.value !== 'object') {
+            const value = row.type === 'text' ? row.value : resolveValue(row.value);
+            resolved.set(id, value);
+            return value;
+        }
+        // Register the container before filling it so cyclic references terminate
+        const out = Array.isArray(row.value) ? [] : {};
+        resolved.set(id, out);
+        fill(row.value, out);
+        return out;
+    };
+
+    const resolveRef = (s) => {
+        const kind = s[1];
+        if (kind === undefined) return s;
+        if (kind === '$') return s.slice(1);
+        if (s === '$undefined') return null;
+        if (s === '$Infinity') return Infinity;
+        if (s === '$-Infinity') return -Infinity;
+        if (s === '$NaN') return NaN;
+        if (s === '$-0') return -0;
+        if (kind === 'D') return s.slice(2);
+        if (kind === 'n') return s.slice(2);
+        const ref = 'L@QW'.includes(kind) ? s.slice(2) : s.slice(1);
+        const [id, ...path] = ref.split(':');
+        if (!/^[0-9a-f]+$/.test(id)) return s; // symbols, server references, etc. stay as-is
+        let target = resolveRow(id);
+        for (const key of path) target = target?.[key];
+        return target ?? null;
+    };
+
+    const resolveValue = (v) => {
+        if (typeof v === 'string') return v.startsWith('$') ? resolveRef(v) : v;
+        if (!v || typeof v !== 'object') return v;
+        const out = Array.isArray(v) ? [] : {};
+        fill(v, out);
+        return out;
+    };
+
+    const fill = (src, out) => {
+        if (Array.isArray(src)) for (const v of src) out.push(resolveValue(v));
+        else for (const [k, v] of Object.entries(src)) out[k] = resolveValue(v);
+    };
+
+    for (const id of rows.keys()) resolveRow(id);
+    return resolved;
+};
+
+/** Decodes pushed Flight chunks into a Map of row id → value, with cross-row references resolved. */
+export const parseNextFlightRecordMap = (entries) => resolveFlightRows(parseFlightRows(flightStream(entries)));
+
+const collectAppsFromTree = (root) => {
+    const apps = [];
+    const seen = new WeakSet();
+    const walk = (node) => {
+        if (!node || typeof node !== 'object' || seen.has(node)) return;
+        seen.add(node);
+        if (Array.isArray(node)) { for (const c of node) walk(c); return; }
+        if (Array.isArray(node.items)) for (const it of node.items) if (it && typeof it === 'object') apps.push(it);
+        if (node.urlName && (node.icon || node.screenshots || node.platforms || node.appTypes || node.licenseCost)) apps.push(node);
+        for (const v of Object.values(node)) walk(v);
+    };
+    walk(root);
+    return apps;
+};
+
+const mapFlightAppToItem = (app) => {
+    const url = app?.urlName ? `https://alternativeto.net/software/${app.urlName}/` : null;
+    if (!url) return null;
+
+    const appTypes = uniq((app.appTypes || []).map((t) => t?.name || t?.appType || t));
+    const platforms = uniq((app.platforms || []).map((p) => p?.name || p?.platform || p));
+    const images = uniq((app.screenshots || []).map((s) => s?.url309x197 || s?.url618x394 || s?.url1200x1200 || s?.url || s));
+    const originCode = txt(app.company?.countryCode || app.countryCode);
+    const features = uniq((app.features || []).map((f) => f?.name ?? f?.feature?.name ?? f?.title ?? f));
+
+    return cleanItem({
+        title: app.name ?? app.title ?? app.displayName,
+        description: app.shortDescriptionOrTagLine ?? app.shortDescription ?? app.description ?? app.tagline ?? app.summary,
+        url,
+        rating: app.rating?.rating ?? app.rating?.value ?? app.ratingValue ?? (typeof app.rating === 'number' ? app.rating : null) ?? app.score,
+        likes: app.likes ?? app.likeCount ?? app.votes ?? app.voteCount ?? app.upvotes,
+        pricing: app.licenseCost ?? app.cost ?? app.pricing ?? app.price,
+        cost: uniq([app.licenseCost, app.licenseModel]).join(' | '),
+        license: app.licenseModel ?? app.license ?? app.licenseType,
+        platforms: platforms.length ? platforms : null,
+        applicationTypes: appTypes.length ? appTypes : null,
+        images: images.length ? images : null,
+        origins: originCode ? [originCode] : null,
+        bestAlternative: app.topAlternatives?.[0]?.name ?? app.topAlternative?.name,
+        developer: app.company?.name ?? app.companyName ?? app.developer ?? app.creator ?? app.author?.name,
+        features: features.length ? features : null,
+        website: app.websiteUrl ?? app.homepageUrl ?? app.officialWebsite ?? app.website ?? app.company?.websiteUrl,
+        logoUrl: app.icon?.url140 ?? app.icon?.url70 ?? app.icon?.url280 ?? app.icon?.url40 ?? app.iconUrl ?? (typeof app.icon === 'string' ? app.icon : null) ?? app.logo,
+        _source: 'next-flight',
+    });
+};
+
+/** Items from the Next.js Flight (RSC) payload in `self.__next_f.push(...)` scripts. */
+export const extractFromNextFlight = ($) => {
+    const entries = collectNextFlightEntries($);
+    if (!entries.length) return [];
+    const records = parseNextFlightRecordMap(entries);
+    if (!records.size) return [];
+    const byUrl = new Map();
+    // Resolved rows share objects, so one walk over all of them visits each app once
+    for (const app of collectAppsFromTree([...records.values()])) {
+        const item = mapFlightAppToItem(app);
+        if (item?.url) byUrl.set(item.url, mergeItem(byUrl.get(item.url), item));
+    }
+    return [...byUrl.values()];
+};
+
+// ─── Generic object-tree extraction (JSON-LD, __NEXT_DATA__, API payloads) ──
+/** Items from any JSON tree (JSON-LD, __NEXT_DATA__, API payloads); `source` becomes `_source`. */
+export const fromObjectTree = (root, pageUrl, source) => {
+    const out = new Map();
+    if (!root || typeof root !== 'object') return [];
+    const stack = [root];
+    const seen = new WeakSet();
+    while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object' || seen.has(node)) continue;
+        seen.add(node);
+        if (Array.isArray(node)) { for (const c of node) if (c && typeof c === 'object') stack.push(c); continue; }
+
+        const urlNameUrl = node.urlName ? `https://alternativeto.net/software/${node.urlName}/` : null;
+        const url = toolUrl(node.url ?? node.href ?? node.link ?? node.canonicalUrl ?? urlNameUrl, pageUrl);
+        if (url) {
+            const appTypes = uniq((node.appTypes || []).map((e) => e?.name || e?.appType || e));
+            const shots = uniq((node.screenshots || []).map((s) => s?.url309x197 || s?.url618x394 || s?.url1200x1200 || s));
+            const plats = (node.platforms || []).length ? (node.platforms || []).map((p) => p?.name || p) : (node.operatingSystem ?? node.supportedPlatforms);
+            const originCode = txt(node.company?.countryCode || node.countryCode);
+            const item = cleanItem({
+                title: node.name ?? node.title ?? node.alternateName ?? node.displayName,
+                description: node.description ?? node.summary ?? node.abstract ?? node.tagline ?? node.shortDescription ?? node.shortDescriptionOrTagLine,
+                url,
+                rating: node.aggregateRating?.ratingValue ?? node.ratingValue ?? node.rating?.rating ?? (typeof node.rating === 'number' ? node.rating : null) ?? node.score,
+                likes: node.likes ?? node.votes ?? node.voteCount ?? node.upvotes ?? node.likeCount,
+                pricing: node.licenseCost ?? node.pricing ?? node.cost ?? node.price,
+                cost: uniq([node.licenseCost, node.licenseModel, node.cost, node.pricing, node.price]).join(' | '),
+                license: node.licenseModel ?? node.license ?? node.priceModel ?? node.licenseType,
+                platforms: plats,
+                applicationTypes: appTypes.length ? appTypes : uniq([node.applicationCategory, node.category, ...(node.categories || []), ...(node.tags || [])]),
+                images: shots,
+                origins: uniq([node.origin, node.country, node.madeIn, originCode, node.location]),
+                bestAlternative: node.topAlternatives?.[0]?.name ?? node.topAlternative?.name,
+                developer: node.company?.name ?? node.companyName ?? node.author?.name ?? node.provider?.name ?? node.publisher?.name ?? node.developer?.name ?? node.organization?.name ?? node.creator?.name,
+                logoUrl: node.icon?.url140 ?? node.icon?.url70 ?? node.icon?.url280 ?? node.icon?.url40 ?? node.iconUrl ?? node.image?.url ?? (typeof node.image === 'string' ? node.image : null) ?? node.logo?.url ?? (typeof node.logo === 'string' ? node.logo : null) ?? node.thumbnailUrl ?? node.thumbnail,
+                _source: source,
+            });
+            if (item) out.set(item.url, mergeItem(out.get(item.url), item));
+        }
+        for (const v of Object.values(node)) if (v && typeof v === 'object') stack.push(v);
+    }
+    return [...out.values()];
+};
+
+// ─── HTML card extraction helpers ────────────────────────────────────────────
+const valuesFromHeading = ($, $root, re) => {
+    const h = $root.find('h2, h3, h4, dt, strong').filter((_, el) => re.test(txt($(el).text()))).first();
+    if (!h.length) return [];
+    const parent = h.parent();
+    const listItems = parent.find('ul li, ol li');
+    const values = listItems.length
+        ? listItems.toArray().map((el) => txt($(el).text()))
+        : parent.find('a, span, p, div').toArray().map((el) => txt($(el).text()));
+    const headingText = txt(h.text());
+    return uniq(values.filter((v) => !isNoiseFieldValue(v) && txt(v) !== headingText));
+};
+
+const tagsFromHeader = ($, $root, re) => { const v = valuesFromHeading($, $root, re); return v.length ? v : null; };
+
+const labeledValue = ($, $root, re) => {
+    const vals = valuesFromHeading($, $root, re);
+    if (vals.length) return vals[0];
+    let found = null;
+    $root.find('dt, th, strong, span, div, p').each((_, el) => {
+        if (found) return;
+        const t = txt($(el).text());
+        if (!t || !re.test(t)) return;
+        found = txt($(el).find('a').first().text()) || txt($(el).next('dd, td, span, div, p').first().text()) || txt(t.split(':').slice(1).join(':'));
+    });
+    return found || null;
+};
+
+const parseCostLicense = (values) => {
+    const clean = uniq(values);
+    if (!clean.length) return { pricing: null, cost: null, license: null };
+    return {
+        pricing: clean.find((v) => hasPricingToken(v)) || null,
+        cost: clean.join(' | '),
+        license: clean.find((v) => hasLicenseToken(v)) || null,
+    };
+};
+
+/** Items parsed from rendered listing cards in static HTML. */
+export const extractCards = ($, pageUrl) => {
+    const out = new Map();
+    $('article.app-item-container, li[data-testid^="item-"], div[data-testid="app-listing-item"], article[class*="app"], li[class*="item"]').each((_, el) => {
+        const $card = $(el);
+        const $a = $card.find('h2 a[href*="/software/"], h3 a[href*="/software/"], a.no-link-color[href*="/software/"], a[href*="/software/"]').first();
+        const url = toolUrl($a.attr('href'), pageUrl);
+        if (!url) return;
+
+        const cardText = txt($card.text());
+        const costValues = valuesFromHeading($, $card, /cost\s*\/\s*license|pricing|license|price/i);
+        const { pricing, cost, license } = parseCostLicense(costValues);
+        const likes = intVal((cardText.match(/(\d[\d,]*)\s*likes?/i) || [])[1]) || intVal($card.find('[class*="like"], [data-testid*="like"]').text());
+        const ratingText = $card.find('[aria-label*="rating" i], [class*="rating"], [class*="score"], [data-testid*="rating"]').first().text();
+        const rating = floatVal(ratingText) || floatVal(cardText.match(/rating[:\s]*(\d+\.?\d*)/i)?.[1]);
+        const description = txt($card.find('[id*="description"] p, p[class*="description"], [class*="description"], p[class*="tagline"], [class*="summary"]').first().text())
+            || txt($card.find('p').first().text())
+            || txt($card.find('[class*="summary"], [class*="excerpt"], .app-description').first().text());
+        const category = txt($card.find('[class*="category"], [data-testid*="category"]').first().text());
+        const developer = txt($card.find('[class*="company"], [class*="developer"], [data-testid*="company"], [class*="author"]').first().text());
+        let logoSrc = $card.find('img').first().attr('src') || $card.find('img').first().attr('data-src');
+        if (logoSrc && typeof logoSrc === 'object') logoSrc = null;
+
+        const item = cleanItem({
+            title: txt($a.text()) || txt($card.find('h2, h3, h4, [class*="title"]').first().text()),
+            description, url, logoUrl: logoSrc ? absUrl(logoSrc, pageUrl) : null,
+            likes, rating, pricing, cost, license,
+            category: category || null, developer: developer || null,
+            platforms: tagsFromHeader($, $card, /platforms?|operating system/i),
+            applicationTypes: tagsFromHeader($, $card, /(application\s*types?|categories?|tags?)/i),
+            origins: tagsFromHeader($, $card, /(origin|made in|country|location)/i),
+            bestAlternative: labeledValue($, $card, /best\s*alternative|top\s*alternative/i),
+            _source: 'html',
+        });
+        if (item) out.set(item.url, mergeItem(out.get(item.url), item));
+    });
+    return [...out.values()];
+};
+
+/** Tool URLs of the page's primary listing cards, in page order (excludes sidebar/related links). */
+export const extractPrimaryListingUrls = ($, pageUrl) => {
+    const urls = new Set();
+    const addUrl = (href) => {
+        const normalized = toolUrl(href, pageUrl);
+        if (normalized) urls.add(normalized);
+    };
+    const cardSelector = 'article.app-item-container, li[data-testid^="item-"], div[data-testid="app-listing-item"], div.flex.flex-col.gap-3 > div, article[class*="app"], li[class*="item"]';
+    $(cardSelector).each((_, el) => {
+        const $card = $(el);
+        const primary = $card
+            .find('h2 a.no-link-color[href*="/software/"], h3 a.no-link-color[href*="/software/"], a.no-link-color[href*="/software/"]')
+            .filter((__, a) => !/\balternatives?\b/i.test(txt($(a).text())))
+            .first();
+        if (primary.length) {
+            addUrl(primary.attr('href'));
+            return;
+        }
+        const fallback = $card
+            .find('h2 a[href*="/software/"], h3 a[href*="/software/"], a[href*="/software/"]')
+            .filter((__, a) => {
+                const text = txt($(a).text());
+                return text && !/\balternatives?\b/i.test(text) && !$(a).hasClass('text-meta');
+            })
+            .first();
+        if (fallback.length) addUrl(fallback.attr('href'));
+    });
+    if (!urls.size) {
+        $('a.no-link-color[href*="/software/"]').each((_, el) => addUrl($(el).attr('href')));
+    }
+    return urls;
+};
+
+// ─── Live DOM card extraction (reads from rendered page via Playwright) ──────
+export const extractCardsFromDOM = async (page, pageUrl, onlyUrls = null) => {
+    try {
+        const only = onlyUrls ? new Set([...onlyUrls].filter(Boolean)) : null;
+        const rawCards = await page.evaluate(() => {
+            const cards = [];
+            const cardSelector = 'article.app-item-container, li[data-testid^="item-"], div[data-testid="app-listing-item"], div.flex.flex-col.gap-3 > div, article[class*="app"], li[class*="item"]';
+            const cardNodes = document.querySelectorAll(cardSelector);
+            const seen = new Set();
+
+            for (const card of cardNodes) {
+                const anchors = Array.from(card.querySelectorAll('h2 a[href*="/software/"], h3 a[href*="/software/"], a.no-link-color[href*="/software/"], a[href*="/software/"]'));
+                const primary = anchors.find((a) => {
+                    const text = (a.textContent || '').trim();
+                    return text && !/\balternatives?\b/i.test(text) && !a.classList.contains('text-meta');
+                }) || anchors.find((a) => a.classList.contains('no-link-color')) || anchors[0];
+                if (!primary) continue;
+
+                const href = primary.getAttribute('href');
+                if (!href || !href.includes('/software/') || seen.has(href)) continue;
+                seen.add(href);
+
+                const heading = card.querySelector('h2, h3, h4');
+                const title = (primary.textContent || '').trim() || (heading?.textContent || '').trim();
+                if (!title || title.length < 2 || title.length > 200) continue;
+
+                const texts = [];
+                for (const el of card.querySelectorAll('p, [class*="description"], [class*="tagline"], [class*="summary"]')) {
+                    const t = el.textContent?.trim();
+                    if (t && t.length > 20 && t !== title) texts.push(t);
+                }
+
+                const tags = [];
+                for (const el of card.querySelectorAll('[class*="tag"], [class*="badge"], [class*="category"], [class*="label"], [class*="chip"]')) {
+                    const t = el.textContent?.trim();
+                    if (t && t.length > 1 && t.length < 50) tags.push(t);
+                }
+
+                const costTexts = [];
+                for (const el of card.querySelectorAll('[class*="price"], [class*="cost"], [class*="license"], [class*="free"], [class*="paid"]')) {
+                    const t = el.textContent?.trim();
+                    if (t && t.length > 1 && t.length < 50) costTexts.push(t);
+                }
+
+                const icon = card.querySelector('img[data-testid^="icon-"], img');
+                const logoUrl = icon?.getAttribute('src') || icon?.getAttribute('data-src') || null;
+
+                let likesText = null;
+                for (const el of card.querySelectorAll('[class*="like"], [class*="vote"], [class*="upvote"], button')) {
+                    const t = el.textContent?.trim();
+                    if (t && /^\d+$/.test(t.replace(/,/g, ''))) { likesText = t; break; }
+                }
+
+                const ratingTexts = [];
+                for (const el of card.querySelectorAll('[aria-label*="rating" i], [class*="rating"], [class*="score"], [data-testid*="rating"]')) {
+                    const t = (el.getAttribute('aria-label') || el.textContent || '').trim();
+                    if (t) ratingTexts.push(t);
+                }
+
+                cards.push({ href, title, description: texts[0] || null, tags, costTexts, likesText, ratingTexts, logoUrl });
+            }
+            return cards;
+        });
+        const out = new Map();
+        for (const raw of rawCards) {
+            const url = toolUrl(raw.href, pageUrl);
+            if (!url) continue;
+            if (only && !only.has(url)) continue;
+            const pricingToken = raw.costTexts.find((v) => PRICING_RE.test(v));
+            const licenseToken = raw.costTexts.find((v) => LICENSE_TYPE_RE.test(v));
+            const category = raw.tags.find((t) => !PRICING_RE.test(t) && !LICENSE_TYPE_RE.test(t)) || null;
+            const item = cleanItem({
+                title: raw.title,
+                description: raw.description,
+                url,
+                likes: raw.likesText ? intVal(raw.likesText) : null,
+                rating: (raw.ratingTexts || []).map(floatVal).find((v) => Number.isFinite(v)) ?? null,
+                pricing: pricingToken || null,
+                cost: raw.costTexts.join(' | ') || null,
+                license: licenseToken || null,
+                logoUrl: raw.logoUrl || null,
+                category,
+                _source: 'dom',
+            });
+            if (item) out.set(item.url, mergeItem(out.get(item.url), item));
+        }
+        return [...out.values()];
+    } catch { return []; }
+};
+
+// ─── Unified extraction from all page sources ───────────────────────────────
+/** All static sources in priority order, merged per tool URL. `apiPayloads` are captured JSON responses. */
+export const extractFromPage = ($, pageUrl, apiPayloads = []) => {
+    const out = new Map();
+    const merge = (items) => { for (const it of items) if (it?.url) out.set(it.url, mergeItem(out.get(it.url), it)); };
+
+    // 1. Intercepted API JSON payloads (highest quality)
+    for (const payload of apiPayloads) merge(fromObjectTree(payload, pageUrl, 'internal-api'));
+
+    // 2. Next.js Flight data (RSC payload in scripts — most items come from here)
+    merge(extractFromNextFlight($));
+
+    // 3. __NEXT_DATA__ script tag
+    const nextData = parseJson($('script#__NEXT_DATA__').first().text());
+    if (nextData) merge(fromObjectTree(nextData, pageUrl, '__NEXT_DATA__'));
+
+    // 4. JSON-LD structured data
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const json = parseJson($(el).text());
+        if (json) merge(fromObjectTree(json, pageUrl, 'json-ld'));
+    });
+
+    // 5. HTML card parsing (fallback)
+    merge(extractCards($, pageUrl));
+
+    return [...out.values()];
+};
+
+export const mergeItemSets = (...sets) => {
+    const out = new Map();
+    for (const s of sets) if (Array.isArray(s)) for (const it of s) if (it?.url) out.set(it.url, mergeItem(out.get(it.url), it));
+    return [...out.values()];
+};
+
+// ─── Detail (about) page extraction ─────────────────────────────────────────
+/** The tool described by a /software/<slug>/about/ page, or null. */
+export const extractDetailPage = ($, pageUrl, apiPayloads = []) => {
+    const url = toolUrl(pageUrl);
+    if (!url) return null;
+    const fromSources = extractFromPage($, url, apiPayloads).find((it) => it.url === url) || null;
+
+    const $main = $('main').first().length ? $('main').first() : $('body');
+    const $desc = $main.find('[data-testid*="description"], [id*="description"], [class*="app-description"]').first();
+    const paragraphs = $desc.find('p').toArray().map((el) => txt($(el).text())).filter(Boolean);
+    const description = (paragraphs.length ? paragraphs.join(' ') : txt($desc.text()))
+        || txt($('meta[property="og:description"]').attr('content'))
+        || txt($('meta[name="description"]').attr('content'));
+
+    const websiteLink = $main.find('a[href^="http"]').filter((_, a) => {
+        const label = txt($(a).text()) || txt($(a).attr('aria-label'));
+        return /official\s*website|visit\s*website|^website$/i.test(label) && Boolean(externalUrl($(a).attr('href')));
+    }).first();
+
+    const screenshots = $main.find('[class*="screenshot"] img, [data-testid*="screenshot"] img')
+        .toArray()
+        .map((el) => $(el).attr('src') || $(el).attr('data-src'))
+        .filter((src) => typeof src === 'string');
+
+    const fromHtml = cleanItem({
+        title: txt($main.find('h1').first().text()),
+        description,
+        url,
+        features: tagsFromHeader($, $main, /^features?$|key\s*features/i),
+        website: websiteLink.attr('href'),
+        images: screenshots,
+        developer: labeledValue($, $main, /developed\s*by|developer|company/i),
+        origins: tagsFromHeader($, $main, /(origin|made in|country|location)/i),
+        _source: 'html',
+    });
+
+    return mergeItem(fromSources, fromHtml);
+};
+
+// ─── Review extraction (/software/<slug>/reviews/) ───────────────────────────
+const isoDate = (v) => {
+    const clean = txt(v);
+    if (!clean) return null;
+    const d = new Date(clean);
+    return Number.isNaN(d.getTime()) ? clean : d.toISOString();
+};
+
+export const cleanReview = (raw, tool) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const body = txt(raw.body);
+    if (!body) return null;
+    const rating = Number.isFinite(raw.rating) ? raw.rating : floatVal(raw.rating);
+    const upvotes = Number.isFinite(raw.upvotes) ? Math.floor(raw.upvotes) : intVal(raw.upvotes);
+    return {
+        toolUrl: tool,
+        reviewId: txt(raw.reviewId) || null,
+        author: txt(raw.author) || null,
+        date: isoDate(raw.date),
+        rating: Number.isFinite(rating) ? rating : null,
+        title: txt(raw.title) || null,
+        body,
+        upvotes: Number.isFinite(upvotes) ? upvotes : null,
+        _source: raw._source || 'alternativeto',
+    };
+};
+
+const reviewText = (review) => review.body.toLowerCase().slice(0, 120);
+const reviewDay = (review) => (review.date ? review.date.slice(0, 10) : null);
+
+// Keyed on author, day and text rather than ids: the same review carries different ids in Flight data and HTML,
+// and two users can post the same short text
+export const reviewKey = (review) => [txt(review.author).toLowerCase(), reviewDay(review) || '', reviewText(review)].join('|');
+
+// A source that leaves out the author or date still matches the same review from a richer source
+const sameReview = (a, b) => reviewText(a) === reviewText(b)
+    && (!a.author || !b.author || a.author.toLowerCase() === b.author.toLowerCase())
+    && (!reviewDay(a) || !reviewDay(b) || reviewDay(a) === reviewDay(b));
+
+const mergeReview = (a, b) => {
+    if (!a) return b;
+    if (!b) return a;
+    const p = (c, i) => (txt(c) ? c : (txt(i) ? i : null));
+    return {
+        ...a,
+        reviewId: p(a.reviewId, b.reviewId),
+        author: p(a.author, b.author),
+        date: p(a.date, b.date),
+        title: p(a.title, b.title),
+        body: b.body.length > a.body.length ? b.body : a.body,
+        rating: Number.isFinite(a.rating) ? a.rating : b.rating,
+        upvotes: Number.isFinite(a.upvotes) ? a.upvotes : b.upvotes,
+    };
+};
+
+const reviewsFromObjectTree = (root, tool, source) => {
+    const out = [];
+    if (!root || typeof root !== 'object') return out;
+    const stack = [root];
+    const seen = new WeakSet();
+    while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object' || seen.has(node)) continue;
+        seen.add(node);
+        if (Array.isArray(node)) { for (const c of node) if (c && typeof c === 'object') stack.push(c); continue; }
+
+        const body = node.reviewBody ?? node.text ?? node.body ?? node.comment ?? node.reviewText ?? node.content;
+        const isReview = node['@type'] === 'Review'
+            || (typeof body === 'string' && !node.urlName && (node.rating != null || node.reviewRating || node.user || node.author));
+        if (isReview) {
+            const review = cleanReview({
+                reviewId: node.id ?? node.reviewId ?? node['@id'],
+                author: node.author?.name ?? node.user?.displayName ?? node.user?.userName ?? node.user?.name ?? node.userName ?? (typeof node.author === 'string' ? node.author : null),
+                date: node.datePublished ?? node.created ?? node.createdAt ?? node.date ?? node.dateCreated,
+                rating: node.reviewRating?.ratingValue ?? (typeof node.rating === 'object' ? node.rating?.rating ?? node.rating?.value : node.rating),
+                title: node.name ?? node.title ?? node.headline,
+                body,
+                upvotes: node.upvotes ?? node.likes ?? node.votes ?? node.voteCount ?? node.helpfulCount,
+                _source: source,
+            }, tool);
+            if (review) out.push(review);
+        }
+        for (const v of Object.values(node)) if (v && typeof v === 'object') stack.push(v);
+    }
+    return out;
+};
+
+const extractReviewCards = ($, tool) => {
+    const out = [];
+    $('article[data-testid*="review"], li[data-testid*="review"], div[data-testid*="review-item"], [class*="review-item"], [id^="review-"]').each((_, el) => {
+        const $card = $(el);
+        const paragraphs = $card.find('[class*="review-text"] p, [class*="content"] p, p').toArray().map((p) => txt($(p).text())).filter(Boolean);
+        const ratingText = $card.find('[aria-label*="rating" i], [aria-label*="star" i], [class*="rating"]').first();
+        const review = cleanReview({
+            reviewId: $card.attr('id') || $card.attr('data-id'),
+            author: txt($card.find('[class*="user"] a, [class*="author"], [data-testid*="user"], a[href*="/user/"]').first().text()),
+            date: $card.find('time').first().attr('datetime') || txt($card.find('time').first().text()),
+            rating: floatVal(ratingText.attr('aria-label') || ratingText.text()),
+            title: txt($card.find('h3, h4, [class*="title"]').first().text()),
+            body: paragraphs.join(' '),
+            upvotes: intVal($card.find('[class*="vote"], [class*="like"], [aria-label*="helpful" i]').first().text()),
+            _source: 'html',
+        }, tool);
+        if (review) out.push(review);
+    });
+    return out;
+};
+
+/** Review records from a /software/<slug>/reviews/ page. */
+export const extractReviewsFromPage = ($, pageUrl, apiPayloads = []) => {
+    const tool = toolUrl(pageUrl.split('?')[0]);
+    if (!tool) return [];
+    const out = [];
+    const merge = (reviews) => {
+        for (const r of reviews) {
+            const i = out.findIndex((prev) => sameReview(prev, r));
+            if (i === -1) out.push(r);
+            else out[i] = mergeReview(out[i], r);
+        }
+    };
+
+    for (const payload of apiPayloads) merge(reviewsFromObjectTree(payload, tool, 'internal-api'));
+    const entries = collectNextFlightEntries($);
+    if (entries.length) merge(reviewsFromObjectTree([...parseNextFlightRecordMap(entries).values()], tool, 'next-flight'));
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const json = parseJson($(el).text());
+        if (json) merge(reviewsFromObjectTree(json, tool, 'json-ld'));
+    });
+    merge(extractReviewCards($, tool));
+
+    return out;
+};
+
+// ─── Pagination helper ───────────────────────────────────────────────────────
+/** Next listing page URL from the pagination links, falling back to `?p=N+1` for listing kinds. */
+export const nextPage = ($, currentUrl, pageKind) => {
+    const direct = $('a[rel="next"], a[aria-label*="next" i]').first().attr('href');
+    if (direct) return absUrl(direct, currentUrl);
+    const byText = $('a').filter((_, el) => /^next$/i.test(txt($(el).text()))).first().attr('href');
+    if (byText) return absUrl(byText, currentUrl);
+    const canFallback = pageKind === PAGE_KIND.SEARCH || pageKind === PAGE_KIND.CATEGORY || pageKind === PAGE_KIND.SOFTWARE;
+    if (!canFallback) return null;
+    try {
+        const u = new URL(currentUrl);
+        const curr = parseInt(u.searchParams.get('p') || '1', 10);
+        if (!Number.isFinite(curr)) return null;
+        u.searchParams.set('p', String(curr + 1));
+        return u.href !== currentUrl ? u.href : null;
+    } catch { return null; }
+};
+
+// ─── Block-detection helpers ─────────────────────────────────────────────────
+/** True when the page is an anti-bot interstitial rather than content. */
+export const blocked = ($, html) => {
+    const title = txt($('title').first().text());
+    if (BLOCKED_TITLES.some((re) => re.test(title))) return true;
+    const lower = String(html || '').toLowerCase();
+    return lower.includes('cf-chl') || lower.includes('cf-challenge') || lower.includes('datadome') || lower.includes('perimeterx');
+};
@@ -0,0 +1,88 @@
+/** Result filters, checked before an item counts against `results_wanted`. */
+import { licensingOf, txt } from './extractors.js';
+import { PAID_PRICING_MODELS, PRICING_MODELS, canonicalPlatform, originOf, originsOf, platformIdsOf } from './taxonomy.js';
+
+export const PRICING_FILTERS = PRICING_MODELS;
+export const LICENSE_FILTERS = Object.freeze(['open source', 'proprietary']);
+
+const lowerList = (v) => (Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : [])
+    .map((s) => txt(s).toLowerCase())
+    .filter(Boolean);
+
+const minInput = (v, name) => {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Input "${name}" must be a non-negative number.`);
+    return n;
+};
+
+const pickKnown = (values, known, name) => {
+    const unknown = values.find((v) => !known.includes(v));
+    if (unknown) throw new Error(`Input "${name}" has unsupported value "${unknown}". Use: ${known.join(', ')}.`);
+    return values;
+};
+
+/** Normalizes the filter inputs; returns null when no filter is set so `push()` can skip the check. */
+export const normalizeFilters = (raw = {}) => {
+    const filters = {
+        pricing: pickKnown(lowerList(raw.filterPricing), PRICING_FILTERS, 'filterPricing'),
+        license: pickKnown(lowerList(raw.filterLicense).map((v) => v.replace(/^opensource$/, 'open source')), LICENSE_FILTERS, 'filterLicense'),
+        platforms: lowerList(raw.filterPlatforms),
+        // Country names and two-letter codes both resolve to `{ code, name }`, like `origins`
+        origins: originsOf(lowerList(raw.filterOrigins)),
+        minRating: minInput(raw.min_rating, 'min_rating'),
+        minLikes: minInput(raw.min_likes, 'min_likes'),
+        includeKeywords: lowerList(raw.includeKeywords),
+        excludeKeywords: lowerList(raw.excludeKeywords),
+    };
+    const active = Object.values(filters).some((v) => (Array.isArray(v) ? v.length > 0 : v != null));
+    return active ? filters : null;
+};
+
+// Items straight from cleanItem() carry the normalized fields; anything else is normalized here
+const licensing = (item) => (item && 'pricingModel' in item ? item : licensingOf(item));
+
+/** Pricing models an item matches: its `pricingModel`, plus `paid` for subscription, one-time and trial. */
+export const pricingModelsOf = (item) => {
+    const { pricingModel } = licensing(item);
+    const models = new Set(pricingModel ? [pricingModel] : []);
+    if (PAID_PRICING_MODELS.includes(pricingModel)) models.add('paid');
+    return models;
+};
+
+/** License kinds an item matches, from `isOpenSource`: `open source` or `proprietary`. */
+export const licenseKindsOf = (item) => {
+    const { isOpenSource } = licensing(item);
+    return new Set(isOpenSource == null ? [] : [isOpenSource ? 'open source' : 'proprietary']);
+};
+
+/**
+ * Name of the first filter the item fails, or null when it passes.
+ * Items missing the filtered field fail that filter — a filter only passes what it can confirm.
+ */
+export const filterRejection = (item, filters) => {
+    if (!filters) return null;
+    const lower = (arr) => (arr || []).map((v) => txt(v).toLowerCase());
+
+    if (filters.pricing.length && ![...pricingModelsOf(item)].some((m) => filters.pricing.includes(m))) return 'pricing';
+    if (filters.license.length && ![...licenseKindsOf(item)].some((k) => filters.license.includes(k))) return 'license';
+    if (filters.platforms.length) {
+        // Canonical platforms ("web", "ios") match any of their aliases; other values match label substrings
+        const platforms = lower(item.platforms);
+        const platformIds = item.platformIds || platformIdsOf(item.platforms);
+        const has = (want) => (canonicalPlatform(want) ? platformIds.includes(canonicalPlatform(want)) : platforms.some((p) => p.includes(want)));
+        if (!filters.platforms.every(has)) return 'platforms';
+    }
+    if (filters.origins.length) {
+        const sameOrigin = (a, b) => (a.code && b.code ? a.code === b.code : a.name.toLowerCase() === b.name.toLowerCase());
+        const origins = (item.origins || []).map(originOf).filter(Boolean);
+        if (!origins.some((o) => filters.origins.some((want) => sameOrigin(o, want)))) return 'origins';
+    }
+    if (filters.minRating != null && !(item.rating >= filters.minRating)) return 'minRating';
+    if (filters.minLikes != null && !(item.likes >= filters.minLikes)) return 'minLikes';
+
+    const text = `${txt(item.title)} ${txt(item.description)}`.toLowerCase();
+    if (filters.includeKeywords.length && !filters.includeKeywords.some((k) => text.includes(k))) return 'includeKeywords';
+    if (filters.excludeKeywords.some((k) => text.includes(k))) return 'excludeKeywords';
+    return null;
+};
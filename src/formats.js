@@ -0,0 +1,188 @@
+/**
+ * End-of-run file exports of the dataset items (CSV, NDJSON, XLSX, SQLite).
+ * Every serializer takes the items and returns a string or Buffer ready for `Actor.setValue()`.
+ */
+import { canonicalPlatform, originsOf } from './taxonomy.js';
+
+export const OUTPUT_FORMATS = Object.freeze({
+    csv: { key: 'OUTPUT.csv', contentType: 'text/csv; charset=utf-8' },
+    ndjson: { key: 'OUTPUT.ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+    xlsx: { key: 'OUTPUT.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    sqlite: { key: 'OUTPUT.sqlite', contentType: 'application/vnd.sqlite3' },
+});
+export const DEFAULT_ARRAY_JOIN = ' | ';
+
+// Dataset order; fields not listed here (delta, history, …) follow in first-seen order
+const COLUMN_ORDER = [
+    'title', 'description', 'category', 'rating', 'likes', 'pricing', 'cost', 'license',
+    'pricingModel', 'isOpenSource', 'licenseFamily',
+    'platforms', 'platformIds', 'applicationTypes', 'images', 'origins', 'bestAlternative', 'developer',
+    'features', 'website', 'logoUrl', 'url',
+];
+
+export const columnsOf = (items) => {
+    const seen = new Set();
+    for (const item of items) for (const key of Object.keys(item || {})) seen.add(key);
+    return [...COLUMN_ORDER.filter((c) => seen.has(c)), ...[...seen].filter((c) => !COLUMN_ORDER.includes(c))];
+};
+
+// Arrays become one joined cell, objects a JSON cell, so every row is flat; origins read "Germany (DE)"
+const listCell = (x) => {
+    if (!x || typeof x !== 'object') return x;
+    if ('code' in x && 'name' in x) return x.code ? `${x.name} (${x.code})` : x.name;
+    return JSON.stringify(x);
+};
+const flatCell = (v, arrayJoin) => {
+    if (v == null) return null;
+    if (Array.isArray(v)) return v.map(listCell).join(arrayJoin);
+    if (typeof v === 'object') return JSON.stringify(v);
+    return v;
+};
+
+const csvCell = (v) => {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCSV = (items, { arrayJoin = DEFAULT_ARRAY_JOIN } = {}) => {
+    const columns = columnsOf(items);
+    const rows = [columns.map(csvCell).join(',')];
+    for (const item of items) rows.push(columns.map((c) => csvCell(flatCell(item[c], arrayJoin))).join(','));
+    return `${rows.join('\r\n')}\r\n`;
+};
+
+export const toNDJSON = (items) => items.map((item) => `${JSON.stringify(item)}\n`).join('');
+
+// exceljs and sql.js are loaded only when their format is requested
+export const toXLSX = async (items, { arrayJoin = DEFAULT_ARRAY_JOIN } = {}) => {
+    const { default: ExcelJS } = await import('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Tools', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columnsOf(items).map((c) => ({ header: c, key: c, width: c === 'description' ? 60 : 20 }));
+    for (const item of items) {
+        sheet.addRow(Object.fromEntries(sheet.columns.map(({ key }) => [key, flatCell(item[key], arrayJoin)])));
+    }
+    sheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const SQLITE_SCHEMA = `
+CREATE TABLE tools (
+    id INTEGER PRIMARY KEY,
+    url TEXT NOT NULL UNIQUE,
+    title TEXT,
+    description TEXT,
+    category TEXT,
+    rating REAL,
+    likes INTEGER,
+    pricing TEXT,
+    cost TEXT,
+    license TEXT,
+    pricing_model TEXT,
+    is_open_source INTEGER,
+    license_family TEXT,
+    developer TEXT,
+    website TEXT,
+    logo_url TEXT,
+    best_alternative TEXT,
+    seed_url TEXT,
+    page_kind TEXT,
+    page_no INTEGER,
+    position INTEGER,
+    position_on_page INTEGER,
+    scraped_at TEXT,
+    application_types TEXT,
+    origins TEXT,
+    features TEXT,
+    images TEXT,
+    extra TEXT
+);
+CREATE TABLE platforms (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    canonical TEXT
+);
+CREATE TABLE tool_platforms (
+    tool_id INTEGER NOT NULL REFERENCES tools(id),
+    platform_id INTEGER NOT NULL REFERENCES platforms(id),
+    PRIMARY KEY (tool_id, platform_id)
+);
+CREATE INDEX tool_platforms_platform ON tool_platforms(platform_id);
+CREATE INDEX platforms_canonical ON platforms(canonical);
+CREATE TABLE tool_origins (
+    tool_id INTEGER NOT NULL REFERENCES tools(id),
+    country_code TEXT,
+    country_name TEXT NOT NULL,
+    PRIMARY KEY (tool_id, country_name)
+);
+CREATE INDEX tool_origins_code ON tool_origins(country_code);
+`;
+
+// Scalar columns of `tools`; the remaining array fields are stored as JSON text
+const SQLITE_COLUMNS = [
+    ['url', 'url'], ['title', 'title'], ['description', 'description'], ['category', 'category'],
+    ['rating', 'rating'], ['likes', 'likes'], ['pricing', 'pricing'], ['cost', 'cost'], ['license', 'license'],
+    ['pricing_model', 'pricingModel'], ['is_open_source', 'isOpenSource'], ['license_family', 'licenseFamily'],
+    ['developer', 'developer'], ['website', 'website'], ['logo_url', 'logoUrl'], ['best_alternative', 'bestAlternative'],
+    ['seed_url', 'seedUrl'], ['page_kind', 'pageKind'], ['page_no', 'pageNo'], ['position', 'position'],
+    ['position_on_page', 'positionOnPage'], ['scraped_at', 'scrapedAt'],
+];
+const SQLITE_JSON_COLUMNS = [['application_types', 'applicationTypes'], ['origins', 'origins'], ['features', 'features'], ['images', 'images']];
+const SQLITE_MAPPED = new Set(['platforms', 'platformIds', ...[...SQLITE_COLUMNS, ...SQLITE_JSON_COLUMNS].map(([, field]) => field)]);
+
+/**
+ * SQLite database with normalized `tools`, `platforms`, `tool_platforms` and `tool_origins` tables;
+ * unmapped fields go to `tools.extra`.
+ */
+export const toSQLite = async (items) => {
+    const { default: initSqlJs } = await import('sql.js');
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    try {
+        db.run(SQLITE_SCHEMA);
+        const columns = [...SQLITE_COLUMNS, ...SQLITE_JSON_COLUMNS].map(([col]) => col);
+        const insertTool = db.prepare(`INSERT OR IGNORE INTO tools (${columns.join(', ')}, extra) VALUES (${columns.map(() => '?').join(', ')}, ?)`);
+        const toolId = db.prepare('SELECT id FROM tools WHERE url = ?');
+        const insertPlatform = db.prepare('INSERT OR IGNORE INTO platforms (name, canonical) VALUES (?, ?)');
+        const platformId = db.prepare('SELECT id FROM platforms WHERE name = ?');
+        const link = db.prepare('INSERT OR IGNORE INTO tool_platforms (tool_id, platform_id) VALUES (?, ?)');
+        const insertOrigin = db.prepare('INSERT OR IGNORE INTO tool_origins (tool_id, country_code, country_name) VALUES (?, ?, ?)');
+        const lookup = (stmt, value) => {
+            stmt.bind([value]);
+            const id = stmt.step() ? stmt.get()[0] : null;
+            stmt.reset();
+            return id;
+        };
+
+        db.run('BEGIN');
+        for (const item of items) {
+            if (!item?.url) continue;
+            const extra = Object.fromEntries(Object.entries(item).filter(([k, v]) => !SQLITE_MAPPED.has(k) && v != null));
+            insertTool.run([
+                // SQLite has no boolean type
+                ...SQLITE_COLUMNS.map(([, field]) => (typeof item[field] === 'boolean' ? Number(item[field]) : item[field] ?? null)),
+                ...SQLITE_JSON_COLUMNS.map(([, field]) => (item[field] == null ? null : JSON.stringify(item[field]))),
+                Object.keys(extra).length ? JSON.stringify(extra) : null,
+            ]);
+            const id = lookup(toolId, item.url);
+            for (const name of item.platforms || []) {
+                insertPlatform.run([name, canonicalPlatform(name)]);
+                link.run([id, lookup(platformId, name)]);
+            }
+            for (const origin of originsOf(item.origins)) insertOrigin.run([id, origin.code, origin.name]);
+        }
+        db.run('COMMIT');
+        [insertTool, toolId, insertPlatform, platformId, link, insertOrigin].forEach((stmt) => stmt.free());
+        return Buffer.from(db.export());
+    } finally {
+        db.close();
+    }
+};
+
+export const OUTPUT_SERIALIZERS = Object.freeze({
+    csv: toCSV,
+    ndjson: toNDJSON,
+    xlsx: toXLSX,
+    sqlite: toSQLite,
+});
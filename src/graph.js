@@ -0,0 +1,152 @@
+/** The alternatives graph: "is alternative to" edges and their GraphML, GEXF and Cytoscape exports. */
+
+export const GRAPH_EXPORT_FORMATS = Object.freeze({
+    graphml: { key: 'GRAPH.graphml', contentType: 'application/graphml+xml; charset=utf-8' },
+    gexf: { key: 'GRAPH.gexf', contentType: 'application/gexf+xml; charset=utf-8' },
+    cytoscape: { key: 'GRAPH_CYTOSCAPE.json', contentType: 'application/json; charset=utf-8' },
+});
+const GRAPH_NODE_FIELDS = [
+    ['title', 'string'], ['description', 'string'], ['category', 'string'],
+    ['rating', 'double'], ['likes', 'integer'],
+    ['pricing', 'string'], ['cost', 'string'], ['license', 'string'],
+    ['platforms', 'string'], ['platformIds', 'string'], ['applicationTypes', 'string'], ['origins', 'string'],
+    ['developer', 'string'], ['website', 'string'], ['logoUrl', 'string'],
+];
+const GRAPH_EDGE_FIELDS = [['rank', 'integer'], ['pageNo', 'integer'], ['likes', 'integer'], ['crawledAt', 'string']];
+
+/**
+ * The alternatives pages a breadth-first graph crawl expands next from `urls` (tools a page at `depth` just
+ * discovered): those neither visited nor already `queued` (as a start URL or an earlier expansion), while fewer
+ * than `maxNodes` pages have been expanded (`nodes` so far). `truncated` is true when the node budget cut the list short.
+ */
+export const graphExpansions = (urls, { depth, maxDepth, nodes, maxNodes, visited = new Set(), queued = new Set() }) => {
+    const expand = [];
+    if (depth >= maxDepth) return { urls: expand, truncated: false };
+    for (const url of urls) {
+        if (nodes + expand.length >= maxNodes) return { urls: expand, truncated: true };
+        if (!visited.has(url) && !queued.has(url)) expand.push(url);
+    }
+    return { urls: expand, truncated: false };
+};
+
+/** Dedupe key of one "is alternative to" relation. */
+export const edgeKey = (sourceUrl, alternativeUrl) => `${sourceUrl}|${alternativeUrl}`;
+
+/**
+ * `alternative-edges` records for one page of `source`'s alternatives, given its tool URLs in listing order.
+ * `offset` is how many alternatives the earlier pages listed, so `rank` runs across pages like an item's `position`
+ * (null, like the ranks, when an earlier page failed and its size is unknown).
+ * Pairs already in `seen` are skipped; new ones are added to it.
+ */
+export const alternativeEdges = (source, urls, { items = [], pageNo, offset = 0, seen = new Set(), crawledAt = new Date().toISOString() } = {}) => {
+    const likesByUrl = new Map(items.map((it) => [it.url, it.likes]));
+    const edges = [];
+    urls.forEach((url, index) => {
+        const key = edgeKey(source, url);
+        if (url === source || seen.has(key)) return;
+        seen.add(key);
+        const likes = likesByUrl.get(url);
+        edges.push({
+            sourceUrl: source,
+            alternativeUrl: url,
+            rank: offset == null ? null : offset + index + 1,
+            pageNo,
+            likes: Number.isFinite(likes) ? likes : null,
+            crawledAt,
+        });
+    });
+    return edges;
+};
+
+const xmlEscape = (v) => String(v).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+// Flattens array fields so every attribute is a scalar in every format; origins become country codes
+const graphNodeData = (item) => {
+    const data = {};
+    const scalar = (x) => (x && typeof x === 'object' ? x.code || x.name : x);
+    for (const [field] of GRAPH_NODE_FIELDS) {
+        const v = Array.isArray(item[field]) ? item[field].map(scalar).join(' | ') : item[field];
+        if (v != null && v !== '') data[field] = v;
+    }
+    return data;
+};
+
+/** `{ nodes, edges }` with nodes keyed by URL; tools only seen as an edge endpoint still become (bare) nodes. */
+export const buildGraph = (items, edges) => {
+    const nodes = new Map(items.filter((it) => it?.url).map((it) => [it.url, graphNodeData(it)]));
+    for (const e of edges) {
+        if (!nodes.has(e.sourceUrl)) nodes.set(e.sourceUrl, {});
+        if (!nodes.has(e.alternativeUrl)) nodes.set(e.alternativeUrl, {});
+    }
+    return { nodes, edges };
+};
+
+/** GraphML document with typed node and edge attribute keys. */
+export const toGraphML = ({ nodes, edges }) => {
+    const graphmlType = { string: 'string', double: 'double', integer: 'int' };
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...GRAPH_NODE_FIELDS.map(([f, t]) => `  <key id="n_${f}" for="node" attr.name="${f}" attr.type="${graphmlType[t]}"/>`),
+        ...GRAPH_EDGE_FIELDS.map(([f, t]) => `  <key id="e_${f}" for="edge" attr.name="${f}" attr.type="${graphmlType[t]}"/>`),
+        '  <graph id="alternativeto" edgedefault="directed">',
+    ];
+    for (const [id, data] of nodes) {
+        lines.push(`    <node id="${xmlEscape(id)}">`);
+        for (const [f, v] of Object.entries(data)) lines.push(`      <data key="n_${f}">${xmlEscape(v)}</data>`);
+        lines.push('    </node>');
+    }
+    edges.forEach((e, i) => {
+        lines.push(`    <edge id="e${i}" source="${xmlEscape(e.sourceUrl)}" target="${xmlEscape(e.alternativeUrl)}">`);
+        for (const [f] of GRAPH_EDGE_FIELDS) if (e[f] != null) lines.push(`      <data key="e_${f}">${xmlEscape(e[f])}</data>`);
+        lines.push('    </edge>');
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n');
+};
+
+/** GEXF 1.3 document, labelled with tool titles for Gephi. */
+export const toGEXF = ({ nodes, edges }) => {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+        '  <graph defaultedgetype="directed" mode="static">',
+        '    <attributes class="node">',
+        ...GRAPH_NODE_FIELDS.map(([f, t], i) => `      <attribute id="${i}" title="${f}" type="${t}"/>`),
+        '    </attributes>',
+        '    <attributes class="edge">',
+        ...GRAPH_EDGE_FIELDS.map(([f, t], i) => `      <attribute id="${i}" title="${f}" type="${t}"/>`),
+        '    </attributes>',
+        '    <nodes>',
+    ];
+    for (const [id, data] of nodes) {
+        lines.push(`      <node id="${xmlEscape(id)}" label="${xmlEscape(data.title || id)}">`, '        <attvalues>');
+        GRAPH_NODE_FIELDS.forEach(([f], i) => { if (data[f] != null) lines.push(`          <attvalue for="${i}" value="${xmlEscape(data[f])}"/>`); });
+        lines.push('        </attvalues>', '      </node>');
+    }
+    lines.push('    </nodes>', '    <edges>');
+    edges.forEach((e, i) => {
+        lines.push(`      <edge id="${i}" source="${xmlEscape(e.sourceUrl)}" target="${xmlEscape(e.alternativeUrl)}">`, '        <attvalues>');
+        GRAPH_EDGE_FIELDS.forEach(([f], j) => { if (e[f] != null) lines.push(`          <attvalue for="${j}" value="${xmlEscape(e[f])}"/>`); });
+        lines.push('        </attvalues>', '      </edge>');
+    });
+    lines.push('    </edges>', '  </graph>', '</gexf>');
+    return lines.join('\n');
+};
+
+/** Cytoscape.js `elements` object. */
+export const toCytoscape = ({ nodes, edges }) => ({
+    elements: {
+        nodes: [...nodes].map(([id, data]) => ({ data: { id, label: data.title || id, ...data } })),
+        edges: edges.map((e, i) => ({
+            data: {
+                id: `e${i}`,
+                source: e.sourceUrl,
+                target: e.alternativeUrl,
+                ...Object.fromEntries(GRAPH_EDGE_FIELDS.map(([f]) => [f, e[f]]).filter(([, v]) => v != null)),
+            },
+        })),
+    },
+});
+
+export const GRAPH_SERIALIZERS = { graphml: toGraphML, gexf: toGEXF, cytoscape: (graph) => JSON.stringify(toCytoscape(graph), null, 2) };
@@ -0,0 +1,85 @@
+/** Likes and rating history: one observation per tool per run, and the growth figures built from them. */
+export const HISTORY_WINDOWS = Object.freeze([7, 30]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const num = (v) => (Number.isFinite(v) ? v : null);
+const diff = (a, b) => (num(a) != null && num(b) != null ? Math.round((a - b) * 100) / 100 : null);
+
+/** One `(url, timestamp, likes, rating, position)` row; `context` is where the listing showed the tool. */
+export const observation = (item, context, observedAt) => ({
+    url: item.url,
+    title: item.title || null,
+    seedUrl: context?.seedUrl || null,
+    observedAt,
+    likes: num(item.likes),
+    rating: num(item.rating),
+    position: num(context?.position),
+});
+
+// Latest observation taken at or before `cutoff`, so the window is never shorter than asked for
+const baselineAt = (series, cutoff) => {
+    let base = null;
+    for (const obs of series) {
+        if (Date.parse(obs.observedAt) > cutoff) break;
+        base = obs;
+    }
+    return base;
+};
+
+/** Change between the latest observation and the one `days` ago; null until the series is that old. */
+export const growthOver = (series, days, now) => {
+    const latest = series.at(-1);
+    const base = baselineAt(series, now - (days * DAY_MS));
+    if (!latest || !base || base === latest) return null;
+    const likes = diff(latest.likes, base.likes);
+    return {
+        since: base.observedAt,
+        likes,
+        likesPct: likes != null && base.likes > 0 ? Math.round((likes / base.likes) * 1000) / 10 : null,
+        rating: diff(latest.rating, base.rating),
+        // Positive when the tool moved up the listing
+        position: diff(base.position, latest.position),
+    };
+};
+
+/** Per-tool trend from every stored observation, keyed by URL. */
+export const toolTrends = (observations, now = Date.now()) => {
+    const byUrl = new Map();
+    for (const obs of observations) {
+        if (!obs?.url || Number.isNaN(Date.parse(obs.observedAt))) continue;
+        if (!byUrl.has(obs.url)) byUrl.set(obs.url, []);
+        byUrl.get(obs.url).push(obs);
+    }
+    const trends = [];
+    for (const [url, series] of byUrl) {
+        series.sort((a, b) => Date.parse(a.observedAt) - Date.parse(b.observedAt));
+        const latest = series.at(-1);
+        const trend = {
+            url,
+            title: latest.title,
+            seedUrl: latest.seedUrl,
+            observations: series.length,
+            likes: latest.likes,
+            rating: latest.rating,
+            position: latest.position,
+        };
+        for (const days of HISTORY_WINDOWS) trend[`growth${days}d`] = growthOver(series, days, now);
+        trends.push(trend);
+    }
+    return trends;
+};
+
+/** Tools with the largest 7-day likes gain per seed, 30-day gain breaking ties. */
+export const risingBySeed = (trends, topN) => {
+    const bySeed = {};
+    for (const trend of trends) {
+        if (!trend.seedUrl || trend.growth7d?.likes == null) continue;
+        (bySeed[trend.seedUrl] ||= []).push(trend);
+    }
+    for (const seed of Object.keys(bySeed)) {
+        bySeed[seed] = bySeed[seed]
+            .sort((a, b) => (b.growth7d.likes - a.growth7d.likes) || ((b.growth30d?.likes ?? 0) - (a.growth30d?.likes ?? 0)))
+            .slice(0, topN);
+    }
+    return bySeed;
+};
@@ -1,22 +1,61 @@
 import { Actor } from 'apify';
 import log from '@apify/log';
-import { PlaywrightCrawler, createPlaywrightRouter } from 'crawlee';
+import { CheerioCrawler, HttpCrawler, PlaywrightCrawler, createCheerioRouter, createPlaywrightRouter } from 'crawlee';
 import { load as cheerioLoad } from 'cheerio';
 import { firefox } from 'playwright';
-import vm from 'node:vm';
+import {
+    PAGE_KIND,
+    txt, parseJson, toolUrl,
+    classifyPageKind, normalizeStartUrl, blockedStartFallbacks, pageNoFromUrl, withPageNo, toggleAlternativeToHost,
+    aboutUrl, reviewsUrl,
+    cleanItem, mergeItem, mergeItemSets, isSparseListingItem,
+    extractFromPage, extractPrimaryListingUrls, extractCardsFromDOM, extractDetailPage,
+    extractReviewsFromPage, reviewKey, nextPage, blocked,
+} from './extractors.js';
+import { filterRejection, normalizeFilters } from './filters.js';
+import { DELTA_SNAPSHOT_KEY, classifyDelta, loadDeltaSnapshot, nextDeltaSnapshot } from './delta.js';
+import { observation, risingBySeed, toolTrends } from './history.js';
+import { DEFAULT_ARRAY_JOIN, OUTPUT_FORMATS, OUTPUT_SERIALIZERS } from './formats.js';
+import { buildRunReport, toReportHTML } from './report.js';
+import { createItemValidator, loadItemSchema } from './validation.js';
+import { appearance, appearanceFields, mergeSighting } from './aggregate.js';
+import {
+    CATEGORY_INDEX_URL, CATEGORY_SEEDING,
+    categoryEntries, categoryPageInfo, categoryRef, categoryTree, extractCategoryLinks, selectCategorySeeds,
+} from './categories.js';
+import {
+    SITEMAP_INDEX_URL, SITEMAP_STATE_KEY,
+    decodeSitemap, loadSitemapState, nextSitemapState, parseSitemap, sitemapToolEntries, unchangedSince,
+} from './sitemap.js';
+import { requestBudget, seedLimits } from './budgets.js';
+import { listingOffset, nextPageOffset, pagePositions, recoveryOffsets } from './positions.js';
+import { resolveSeeds, seedTags } from './seeds.js';
+import { loadSnapshots, replaySeeds, snapshotId } from './snapshots.js';
+import { browserRequest, crawlerFor, httpDetail, httpListing } from './escalation.js';
+import { GRAPH_EXPORT_FORMATS, GRAPH_SERIALIZERS, alternativeEdges, buildGraph, edgeKey, graphExpansions } from './graph.js';
+import { CRAWL_STATE_KEY, packState, unpackState } from './state.js';
 
 await Actor.init();
 
 // ─── Constants ───────────────────────────────────────────────────────────────
-const BASE_URL = 'https://alternativeto.net/';
-const DEFAULT_START = 'https://alternativeto.net/category/ai-tools/ai-image-generator/';
-const TOOL_URL_RE = /^https:\/\/(?:www\.)?alternativeto\.net\/software\/[^/?#]+\/?$/i;
-const ALT_DOMAIN_RE = /(?:^|\.)alternativeto\.net$/i;
-const PAGE_KIND = Object.freeze({ SEARCH: 'search', CATEGORY: 'category', SOFTWARE: 'software', OTHER: 'other' });
-const PRICING_RE = /(free|paid|freemium|subscription|trial|one[-\s]?time|lifetime)/i;
-const LICENSE_TYPE_RE = /(open\s*source|opensource|proprietary|commercial|apache|mit|gpl|bsd|mozilla|agpl|lgpl|mpl|cc0)/i;
-const BLOCKED_TITLES = [/access denied/i, /captcha/i, /forbidden/i, /verify/i];
 const BLOCKED_RESOURCE_TYPES = new Set(['image', 'font', 'media', 'stylesheet']);
+const REVIEWS_DATASET = 'reviews';
+const EDGES_DATASET = 'alternative-edges';
+const SNAPSHOTS_STORE = 'snapshots';
+const QUARANTINE_DATASET = 'quarantine';
+const CATEGORIES_DATASET = 'categories';
+const CATEGORY_TREE_KEY = 'CATEGORY_TREE';
+const RUN_MODES = new Set(['listings', 'categories', 'sitemap']);
+const DEFAULT_SITEMAP_STORE = 'alternativeto-sitemap';
+// Child sitemaps are usually served gzipped without a Content-Encoding header
+const SITEMAP_MIME_TYPES = ['application/xml', 'text/xml', 'application/gzip', 'application/x-gzip', 'application/octet-stream'];
+const CRAWLER_TYPES = new Set(['playwright', 'http']);
+const DEFAULT_DELTA_STORE = 'alternativeto-delta';
+const DEFAULT_HISTORY_DATASET = 'alternativeto-history';
+const TRENDS_KEY = 'TRENDS';
+const RISING_TOP_N = 25;
+const RUN_REPORT_KEY = 'RUN_REPORT';
+const SEED_TAGS_KEY = 'SEED_TAGS';
 const TRACKER_PATTERNS = ['google-analytics', 'googletagmanager', 'doubleclick', 'facebook.net', 'ads', 'pinterest', 'hotjar', 'segment'];
 
 // Stealth user agents — recent real Firefox ESR on common OSes
@@ -36,585 +75,6 @@ const VIEWPORTS = [
 const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
 const randDelay = (min, max) => new Promise((r) => setTimeout(r, min + Math.random() * (max - min)));
 
-const REGION_DISPLAY = new Intl.DisplayNames(['en'], { type: 'region' });
-
-// ─── Utility helpers ─────────────────────────────────────────────────────────
-const txt = (v) => (v ? String(v).replace(/\s+/g, ' ').trim() : '');
-const uniq = (value) => {
-    if (value == null) return [];
-    const list = Array.isArray(value)
-        ? value
-        : typeof value === 'string'
-            ? value.split(/[|,;/]+/)
-            : typeof value === 'object'
-                ? Object.values(value)
-                : [value];
-    return [...new Set(list.map((v) => txt(typeof v === 'object' ? v?.name ?? v?.title ?? '' : v)).filter(Boolean))];
-};
-
-const absUrl = (href, base = BASE_URL) => {
-    if (!href || typeof href === 'object') return null;
-    const clean = txt(href);
-    if (!clean) return null;
-    try { return new URL(clean, base).href; } catch { return null; }
-};
-
-const toolUrl = (href, base = BASE_URL) => {
-    const url = absUrl(href, base);
-    if (!url) return null;
-    const clean = url.split('#')[0].replace(/\/about\/?$/i, '/').replace(/\/reviews\/?$/i, '/');
-    return TOOL_URL_RE.test(clean) ? clean : null;
-};
-
-const intVal = (v) => { const m = txt(v).match(/(\d[\d,]*)/); if (!m) return null; const n = parseInt(m[1].replaceAll(',', ''), 10); return Number.isFinite(n) ? n : null; };
-const floatVal = (v) => { const m = txt(v).match(/(\d+(?:\.\d+)?)/); if (!m) return null; const n = parseFloat(m[1]); return Number.isFinite(n) ? n : null; };
-const hasPricingToken = (v) => PRICING_RE.test(txt(v));
-const hasLicenseToken = (v) => LICENSE_TYPE_RE.test(txt(v));
-const parseJson = (s) => { try { return JSON.parse(s); } catch { return null; } };
-
-const countryFromCode = (code) => {
-    const clean = txt(code).toUpperCase();
-    if (!/^[A-Z]{2}$/.test(clean)) return null;
-    try { return REGION_DISPLAY.of(clean) || clean; } catch { return clean; }
-};
-
-const isNoiseFieldValue = (v) => {
-    const c = txt(v).toLowerCase();
-    return !c || c === 'application type' || c === 'cost / license' || c === 'origin' || c === 'platforms';
-};
-
-// ─── URL helpers ─────────────────────────────────────────────────────────────
-const classifyPageKind = (urlValue) => {
-    try {
-        const path = new URL(urlValue).pathname.toLowerCase();
-        if (path.startsWith('/browse/search/')) return PAGE_KIND.SEARCH;
-        if (path.startsWith('/category/')) return PAGE_KIND.CATEGORY;
-        if (/^\/software\/[^/]+\/?$/.test(path)) return PAGE_KIND.SOFTWARE;
-        return PAGE_KIND.OTHER;
-    } catch { return PAGE_KIND.OTHER; }
-};
-
-const normalizeStartUrl = (candidate) => {
-    const absolute = absUrl(candidate);
-    if (!absolute) return null;
-    try {
-        const u = new URL(absolute);
-        if (!ALT_DOMAIN_RE.test(u.hostname)) return null;
-        u.hash = ''; u.protocol = 'https:'; u.hostname = 'alternativeto.net';
-        const path = u.pathname.replace(/\/+/g, '/').replace(/\/$/, '') || '/';
-        if (path === '/software' && txt(u.searchParams.get('q'))) u.pathname = '/browse/search/';
-        else if (/^\/software\/[^/]+\/(?:about|reviews|alternatives)$/i.test(path)) u.pathname = `${path.split('/').slice(0, 3).join('/')}/`;
-        else if (/^\/software\/[^/]+$/i.test(path)) u.pathname = `${path}/`;
-        else if (/^\/category\/.+/i.test(path) && !path.endsWith('/')) u.pathname = `${path}/`;
-        else if (/^\/browse\/search$/i.test(path)) u.pathname = '/browse/search/';
-        return u.href;
-    } catch { return absolute; }
-};
-
-const blockedStartFallbacks = (blockedUrl) => {
-    const candidates = [];
-    const add = (url) => { const n = normalizeStartUrl(url); if (n) candidates.push(n); };
-    try {
-        const u = new URL(blockedUrl);
-        const path = u.pathname.toLowerCase();
-        const alt = new URL(u.href);
-        alt.hostname = u.hostname === 'www.alternativeto.net' ? 'alternativeto.net' : 'www.alternativeto.net';
-        add(alt.href);
-        if (path.startsWith('/category/')) {
-            const segments = path.split('/').filter(Boolean);
-            if (segments.length >= 2) add(`https://alternativeto.net/${segments[0]}/${segments[1]}/`);
-        } else if (path.startsWith('/browse/search/')) {
-            const q = txt(u.searchParams.get('q'));
-            if (q) add(`https://alternativeto.net/browse/search/?q=${encodeURIComponent(q)}&p=2`);
-            add(DEFAULT_START);
-        }
-    } catch { /* malformed URL */ }
-    return [...new Set(candidates.filter((c) => c !== blockedUrl))];
-};
-
-const pageNoFromUrl = (urlValue) => {
-    try {
-        const parsed = new URL(urlValue);
-        const pageNo = parseInt(parsed.searchParams.get('p') || '1', 10);
-        return Number.isFinite(pageNo) && pageNo > 0 ? pageNo : 1;
-    } catch { return 1; }
-};
-
-const withPageNo = (urlValue, pageNo) => {
-    try {
-        const parsed = new URL(urlValue);
-        if (!Number.isFinite(pageNo) || pageNo <= 0) return parsed.href;
-        if (pageNo <= 1) parsed.searchParams.delete('p');
-        else parsed.searchParams.set('p', String(pageNo));
-        return parsed.href;
-    } catch { return null; }
-};
-
-const toggleAlternativeToHost = (urlValue) => {
-    try {
-        const parsed = new URL(urlValue);
-        if (!ALT_DOMAIN_RE.test(parsed.hostname)) return null;
-        parsed.hostname = parsed.hostname === 'www.alternativeto.net' ? 'alternativeto.net' : 'www.alternativeto.net';
-        return parsed.href;
-    } catch { return null; }
-};
-
-const searchUrl = (keyword) => {
-    const u = new URL('browse/search/', BASE_URL);
-    u.searchParams.set('q', keyword);
-    return u.href;
-};
-
-// ─── Data cleaning ───────────────────────────────────────────────────────────
-const cleanItem = (raw) => {
-    if (!raw || typeof raw !== 'object') return null;
-    const url = toolUrl(raw.url);
-    if (!url) return null;
-
-    const rating = Number.isFinite(raw.rating) ? raw.rating : floatVal(raw.rating);
-    const likes = Number.isFinite(raw.likes) ? Math.floor(raw.likes) : intVal(raw.likes);
-    const applicationTypes = uniq(raw.applicationTypes || []);
-    const category = txt(raw.category) || applicationTypes[0] || null;
-    const images = uniq((raw.images || []).map((img) => absUrl(img, url)).filter(Boolean));
-
-    let pricing = txt(raw.pricing);
-    let cost = txt(raw.cost);
-    let license = txt(raw.license);
-
-    const catVals = new Set([txt(category).toLowerCase(), ...applicationTypes.map((v) => txt(v).toLowerCase())].filter(Boolean));
-    if (catVals.has(pricing.toLowerCase())) pricing = '';
-    if (catVals.has(cost.toLowerCase())) cost = '';
-    if (catVals.has(license.toLowerCase())) license = '';
-
-    if (!pricing && hasPricingToken(cost)) pricing = cost;
-    if (!license && hasLicenseToken(cost)) license = cost;
-    if (!cost && (pricing || license)) cost = uniq([pricing, license]).join(' | ');
-
-    return {
-        title: txt(raw.title) || null,
-        description: txt(raw.description) || null,
-        category,
-        rating: Number.isFinite(rating) ? rating : null,
-        pricing: pricing || null,
-        cost: cost || null,
-        license: license || null,
-        likes: Number.isFinite(likes) ? likes : null,
-        platforms: uniq(raw.platforms || []).length > 0 ? uniq(raw.platforms || []) : null,
-        applicationTypes: applicationTypes.length ? applicationTypes : null,
-        images: images.length ? images : null,
-        origins: uniq(raw.origins || []).length > 0 ? uniq(raw.origins || []) : null,
-        bestAlternative: txt(raw.bestAlternative) || null,
-        developer: txt(raw.developer) || null,
-        logoUrl: absUrl(raw.logoUrl, url),
-        url,
-        _source: 'alternativeto',
-    };
-};
-
-const mergeItem = (a, b) => {
-    if (!a) return b;
-    if (!b) return a;
-    const p = (c, i) => (txt(c) ? c : (txt(i) ? i : null));
-    const mergeArr = (a1, a2) => { const m = uniq([...(a1 || []), ...(a2 || [])]); return m.length > 0 ? m : null; };
-    return {
-        ...a,
-        title: p(a.title, b.title),
-        description: txt(b.description).length > txt(a.description).length ? b.description : a.description,
-        category: p(a.category, b.category),
-        pricing: p(a.pricing, b.pricing),
-        cost: p(a.cost, b.cost),
-        license: p(a.license, b.license),
-        bestAlternative: p(a.bestAlternative, b.bestAlternative),
-        developer: p(a.developer, b.developer),
-        logoUrl: p(a.logoUrl, b.logoUrl),
-        rating: Number.isFinite(a.rating) ? a.rating : (Number.isFinite(b.rating) ? b.rating : null),
-        likes: Number.isFinite(a.likes) ? a.likes : (Number.isFinite(b.likes) ? b.likes : null),
-        platforms: mergeArr(a.platforms, b.platforms),
-        applicationTypes: mergeArr(a.applicationTypes, b.applicationTypes),
-        images: mergeArr(a.images, b.images),
-        origins: mergeArr(a.origins, b.origins),
-    };
-};
-
-const listingSignalScore = (item) => {
-    const signals = [
-        txt(item?.description).length >= 20,
-        Number.isFinite(item?.rating),
-        Number.isFinite(item?.likes),
-        Boolean(txt(item?.pricing) || txt(item?.cost) || txt(item?.license)),
-        Boolean(txt(item?.logoUrl)),
-        Array.isArray(item?.platforms) && item.platforms.length > 0,
-        Array.isArray(item?.applicationTypes) && item.applicationTypes.length > 0,
-        Array.isArray(item?.origins) && item.origins.length > 0,
-        Array.isArray(item?.images) && item.images.length > 0,
-        Boolean(txt(item?.category)),
-        Boolean(txt(item?.developer)),
-    ];
-    return signals.filter(Boolean).length;
-};
-
-const isSparseListingItem = (item) => listingSignalScore(item) < 3;
-
-// ─── Next.js Flight data extraction ─────────────────────────────────────────
-const collectNextFlightEntries = ($) => {
-    const scripts = $('script').toArray().map((el) => $(el).text()).filter((t) => t && t.includes('self.__next_f.push('));
-    const collected = [];
-    for (const script of scripts) {
-        try {
-            vm.runInNewContext(script, { self: { __next_f: { push: (e) => collected.push(e) } } }, { timeout: 200 });
-        } catch { /* malformed chunk */ }
-    }
-    return collected;
-};
-
-const parseNextFlightRecordMap = (entries) => {
-    const records = new Map();
-    for (const entry of entries) {
-        if (!Array.isArray(entry) || typeof entry[1] !== 'string') continue;
-        for (const line of entry[1].split('\n')) {
-            const m = line.match(/^([A-Za-z0-9]+):(.*)$/);
-            if (!m) continue;
-            const parsed = parseJson(m[2]);
-            if (parsed !== null) records.set(m[1], parsed);
-        }
-    }
-    return records;
-};
-
-const collectAppsFromTree = (root) => {
-    const apps = [];
-    const seen = new WeakSet();
-    const walk = (node) => {
-        if (!node || typeof node !== 'object' || seen.has(node)) return;
-        seen.add(node);
-        if (Array.isArray(node)) { for (const c of node) walk(c); return; }
-        if (Array.isArray(node.items)) for (const it of node.items) if (it && typeof it === 'object') apps.push(it);
-        if (node.urlName && (node.icon || node.screenshots || node.platforms || node.appTypes || node.licenseCost)) apps.push(node);
-        for (const v of Object.values(node)) walk(v);
-    };
-    walk(root);
-    return apps;
-};
-
-const mapFlightAppToItem = (app) => {
-    const url = app?.urlName ? `https://alternativeto.net/software/${app.urlName}/` : null;
-    if (!url) return null;
-
-    const appTypes = uniq((app.appTypes || []).map((t) => t?.name || t?.appType || t));
-    const platforms = uniq((app.platforms || []).map((p) => p?.name || p?.platform || p));
-    const images = uniq((app.screenshots || []).map((s) => s?.url309x197 || s?.url618x394 || s?.url1200x1200 || s?.url || s));
-    const country = countryFromCode(app.company?.countryCode || app.countryCode);
-
-    return cleanItem({
-        title: app.name ?? app.title ?? app.displayName,
-        description: app.shortDescriptionOrTagLine ?? app.shortDescription ?? app.description ?? app.tagline ?? app.summary,
-        url,
-        rating: app.rating?.rating ?? app.rating?.value ?? app.ratingValue ?? (typeof app.rating === 'number' ? app.rating : null) ?? app.score,
-        likes: app.likes ?? app.likeCount ?? app.votes ?? app.voteCount ?? app.upvotes,
-        pricing: app.licenseCost ?? app.cost ?? app.pricing ?? app.price,
-        cost: uniq([app.licenseCost, app.licenseModel]).join(' | '),
-        license: app.licenseModel ?? app.license ?? app.licenseType,
-        platforms: platforms.length ? platforms : null,
-        applicationTypes: appTypes.length ? appTypes : null,
-        images: images.length ? images : null,
-        origins: country ? [country] : null,
-        bestAlternative: app.topAlternatives?.[0]?.name ?? app.topAlternative?.name,
-        developer: app.company?.name ?? app.companyName ?? app.developer ?? app.creator ?? app.author?.name,
-        logoUrl: app.icon?.url140 ?? app.icon?.url70 ?? app.icon?.url280 ?? app.icon?.url40 ?? app.iconUrl ?? (typeof app.icon === 'string' ? app.icon : null) ?? app.logo,
-        _source: 'next-flight',
-    });
-};
-
-const extractFromNextFlight = ($) => {
-    const entries = collectNextFlightEntries($);
-    if (!entries.length) return [];
-    const records = parseNextFlightRecordMap(entries);
-    if (!records.size) return [];
-    const byUrl = new Map();
-    for (const val of records.values()) {
-        for (const app of collectAppsFromTree(val)) {
-            const item = mapFlightAppToItem(app);
-            if (item?.url) byUrl.set(item.url, mergeItem(byUrl.get(item.url), item));
-        }
-    }
-    return [...byUrl.values()];
-};
-
-// ─── Generic object-tree extraction (JSON-LD, __NEXT_DATA__, API payloads) ──
-const fromObjectTree = (root, pageUrl, source) => {
-    const out = new Map();
-    if (!root || typeof root !== 'object') return [];
-    const stack = [root];
-    const seen = new WeakSet();
-    while (stack.length) {
-        const node = stack.pop();
-        if (!node || typeof node !== 'object' || seen.has(node)) continue;
-        seen.add(node);
-        if (Array.isArray(node)) { for (const c of node) if (c && typeof c === 'object') stack.push(c); continue; }
-
-        const urlNameUrl = node.urlName ? `https://alternativeto.net/software/${node.urlName}/` : null;
-        const url = toolUrl(node.url ?? node.href ?? node.link ?? node.canonicalUrl ?? urlNameUrl, pageUrl);
-        if (url) {
-            const appTypes = uniq((node.appTypes || []).map((e) => e?.name || e?.appType || e));
-            const shots = uniq((node.screenshots || []).map((s) => s?.url309x197 || s?.url618x394 || s?.url1200x1200 || s));
-            const plats = (node.platforms || []).length ? (node.platforms || []).map((p) => p?.name || p) : (node.operatingSystem ?? node.supportedPlatforms);
-            const country = countryFromCode(node.company?.countryCode || node.countryCode);
-            const item = cleanItem({
-                title: node.name ?? node.title ?? node.alternateName ?? node.displayName,
-                description: node.description ?? node.summary ?? node.abstract ?? node.tagline ?? node.shortDescription ?? node.shortDescriptionOrTagLine,
-                url,
-                rating: node.aggregateRating?.ratingValue ?? node.ratingValue ?? node.rating?.rating ?? (typeof node.rating === 'number' ? node.rating : null) ?? node.score,
-                likes: node.likes ?? node.votes ?? node.voteCount ?? node.upvotes ?? node.likeCount,
-                pricing: node.licenseCost ?? node.pricing ?? node.cost ?? node.price,
-                cost: uniq([node.licenseCost, node.licenseModel, node.cost, node.pricing, node.price]).join(' | '),
-                license: node.licenseModel ?? node.license ?? node.priceModel ?? node.licenseType,
-                platforms: plats,
-                applicationTypes: appTypes.length ? appTypes : uniq([node.applicationCategory, node.category, ...(node.categories || []), ...(node.tags || [])]),
-                images: shots,
-                origins: uniq([node.origin, node.country, node.madeIn, country, node.location]),
-                bestAlternative: node.topAlternatives?.[0]?.name ?? node.topAlternative?.name,
-                developer: node.company?.name ?? node.companyName ?? node.author?.name ?? node.provider?.name ?? node.publisher?.name ?? node.developer?.name ?? node.organization?.name ?? node.creator?.name,
-                logoUrl: node.icon?.url140 ?? node.icon?.url70 ?? node.icon?.url280 ?? node.icon?.url40 ?? node.iconUrl ?? node.image?.url ?? (typeof node.image === 'string' ? node.image : null) ?? node.logo?.url ?? (typeof node.logo === 'string' ? node.logo : null) ?? node.thumbnailUrl ?? node.thumbnail,
-                _source: source,
-            });
-            if (item) out.set(item.url, mergeItem(out.get(item.url), item));
-        }
-        for (const v of Object.values(node)) if (v && typeof v === 'object') stack.push(v);
-    }
-    return [...out.values()];
-};
-
-// ─── HTML card extraction helpers ────────────────────────────────────────────
-const valuesFromHeading = ($, $root, re) => {
-    const h = $root.find('h2, h3, h4, dt, strong').filter((_, el) => re.test(txt($(el).text()))).first();
-    if (!h.length) return [];
-    const parent = h.parent();
-    const listItems = parent.find('ul li, ol li');
-    const values = listItems.length
-        ? listItems.toArray().map((el) => txt($(el).text()))
-        : parent.find('a, span, p, div').toArray().map((el) => txt($(el).text()));
-    const headingText = txt(h.text());
-    return uniq(values.filter((v) => !isNoiseFieldValue(v) && txt(v) !== headingText));
-};
-
-const tagsFromHeader = ($, $root, re) => { const v = valuesFromHeading($, $root, re); return v.length ? v : null; };
-
-const labeledValue = ($, $root, re) => {
-    const vals = valuesFromHeading($, $root, re);
-    if (vals.length) return vals[0];
-    let found = null;
-    $root.find('dt, th, strong, span, div, p').each((_, el) => {
-        if (found) return;
-        const t = txt($(el).text());
-        if (!t || !re.test(t)) return;
-        found = txt($(el).find('a').first().text()) || txt($(el).next('dd, td, span, div, p').first().text()) || txt(t.split(':').slice(1).join(':'));
-    });
-    return found || null;
-};
-
-const parseCostLicense = (values) => {
-    const clean = uniq(values);
-    if (!clean.length) return { pricing: null, cost: null, license: null };
-    return {
-        pricing: clean.find((v) => hasPricingToken(v)) || null,
-        cost: clean.join(' | '),
-        license: clean.find((v) => hasLicenseToken(v)) || null,
-    };
-};
-
-const extractCards = ($, pageUrl) => {
-    const out = new Map();
-    $('article.app-item-container, li[data-testid^="item-"], div[data-testid="app-listing-item"], article[class*="app"], li[class*="item"]').each((_, el) => {
-        const $card = $(el);
-        const $a = $card.find('h2 a[href*="/software/"], h3 a[href*="/software/"], a.no-link-color[href*="/software/"], a[href*="/software/"]').first();
-        const url = toolUrl($a.attr('href'), pageUrl);
-        if (!url) return;
-
-        const cardText = txt($card.text());
-        const costValues = valuesFromHeading($, $card, /cost\s*\/\s*license|pricing|license|price/i);
-        const { pricing, cost, license } = parseCostLicense(costValues);
-        const likes = intVal((cardText.match(/(\d[\d,]*)\s*likes?/i) || [])[1]) || intVal($card.find('[class*="like"], [data-testid*="like"]').text());
-        const ratingText = $card.find('[aria-label*="rating" i], [class*="rating"], [class*="score"], [data-testid*="rating"]').first().text();
-        const rating = floatVal(ratingText) || floatVal(cardText.match(/rating[:\s]*(\d+\.?\d*)/i)?.[1]);
-        const description = txt($card.find('[id*="description"] p, p[class*="description"], [class*="description"], p[class*="tagline"], [class*="summary"]').first().text())
-            || txt($card.find('p').first().text())
-            || txt($card.find('[class*="summary"], [class*="excerpt"], .app-description').first().text());
-        const category = txt($card.find('[class*="category"], [data-testid*="category"]').first().text());
-        const developer = txt($card.find('[class*="company"], [class*="developer"], [data-testid*="company"], [class*="author"]').first().text());
-        let logoSrc = $card.find('img').first().attr('src') || $card.find('img').first().attr('data-src');
-        if (logoSrc && typeof logoSrc === 'object') logoSrc = null;
-
-        const item = cleanItem({
-            title: txt($a.text()) || txt($card.find('h2, h3, h4, [class*="title"]').first().text()),
-            description, url, logoUrl: logoSrc ? absUrl(logoSrc, pageUrl) : null,
-            likes, rating, pricing, cost, license,
-            category: category || null, developer: developer || null,
-            platforms: tagsFromHeader($, $card, /platforms?|operating system/i),
-            applicationTypes: tagsFromHeader($, $card, /(application\s*types?|categories?|tags?)/i),
-            origins: tagsFromHeader($, $card, /(origin|made in|country|location)/i),
-            bestAlternative: labeledValue($, $card, /best\s*alternative|top\s*alternative/i),
-            _source: 'html',
-        });
-        if (item) out.set(item.url, mergeItem(out.get(item.url), item));
-    });
-    return [...out.values()];
-};
-
-const extractPrimaryListingUrls = ($, pageUrl) => {
-    const urls = new Set();
-    const addUrl = (href) => {
-        const normalized = toolUrl(href, pageUrl);
-        if (normalized) urls.add(normalized);
-    };
-    const cardSelector = 'article.app-item-container, li[data-testid^="item-"], div[data-testid="app-listing-item"], div.flex.flex-col.gap-3 > div, article[class*="app"], li[class*="item"]';
-    $(cardSelector).each((_, el) => {
-        const $card = $(el);
-        const primary = $card
-            .find('h2 a.no-link-color[href*="/software/"], h3 a.no-link-color[href*="/software/"], a.no-link-color[href*="/software/"]')
-            .filter((__, a) => !/\balternatives?\b/i.test(txt($(a).text())))
-            .first();
-        if (primary.length) {
-            addUrl(primary.attr('href'));
-            return;
-        }
-        const fallback = $card
-            .find('h2 a[href*="/software/"], h3 a[href*="/software/"], a[href*="/software/"]')
-            .filter((__, a) => {
-                const text = txt($(a).text());
-                return text && !/\balternatives?\b/i.test(text) && !$(a).hasClass('text-meta');
-            })
-            .first();
-        if (fallback.length) addUrl(fallback.attr('href'));
-    });
-    if (!urls.size) {
-        $('a.no-link-color[href*="/software/"]').each((_, el) => addUrl($(el).attr('href')));
-    }
-    return urls;
-};
-
-// ─── Live DOM card extraction (reads from rendered page via Playwright) ──────
-const extractCardsFromDOM = async (page, pageUrl, onlyUrls = null) => {
-    try {
-        const only = onlyUrls ? new Set([...onlyUrls].filter(Boolean)) : null;
-        const rawCards = await page.evaluate(() => {
-            const cards = [];
-            const cardSelector = 'article.app-item-container, li[data-testid^="item-"], div[data-testid="app-listing-item"], div.flex.flex-col.gap-3 > div, article[class*="app"], li[class*="item"]';
-            const cardNodes = document.querySelectorAll(cardSelector);
-            const seen = new Set();
-
-            for (const card of cardNodes) {
-                const anchors = Array.from(card.querySelectorAll('h2 a[href*="/software/"], h3 a[href*="/software/"], a.no-link-color[href*="/software/"], a[href*="/software/"]'));
-                const primary = anchors.find((a) => {
-                    const text = (a.textContent || '').trim();
-                    return text && !/\balternatives?\b/i.test(text) && !a.classList.contains('text-meta');
-                }) || anchors.find((a) => a.classList.contains('no-link-color')) || anchors[0];
-                if (!primary) continue;
-
-                const href = primary.getAttribute('href');
-                if (!href || !href.includes('/software/') || seen.has(href)) continue;
-                seen.add(href);
-
-                const heading = card.querySelector('h2, h3, h4');
-                const title = (primary.textContent || '').trim() || (heading?.textContent || '').trim();
-                if (!title || title.length < 2 || title.length > 200) continue;
-
-                const texts = [];
-                for (const el of card.querySelectorAll('p, [class*="description"], [class*="tagline"], [class*="summary"]')) {
-                    const t = el.textContent?.trim();
-                    if (t && t.length > 20 && t !== title) texts.push(t);
-                }
-
-                const tags = [];
-                for (const el of card.querySelectorAll('[class*="tag"], [class*="badge"], [class*="category"], [class*="label"], [class*="chip"]')) {
-                    const t = el.textContent?.trim();
-                    if (t && t.length > 1 && t.length < 50) tags.push(t);
-                }
-
-                const costTexts = [];
-                for (const el of card.querySelectorAll('[class*="price"], [class*="cost"], [class*="license"], [class*="free"], [class*="paid"]')) {
-                    const t = el.textContent?.trim();
-                    if (t && t.length > 1 && t.length < 50) costTexts.push(t);
-                }
-
-                const icon = card.querySelector('img[data-testid^="icon-"], img');
-                const logoUrl = icon?.getAttribute('src') || icon?.getAttribute('data-src') || null;
-
-                let likesText = null;
-                for (const el of card.querySelectorAll('[class*="like"], [class*="vote"], [class*="upvote"], button')) {
-                    const t = el.textContent?.trim();
-                    if (t && /^\d+$/.test(t.replace(/,/g, ''))) { likesText = t; break; }
-                }
-
-                const ratingTexts = [];
-                for (const el of card.querySelectorAll('[aria-label*="rating" i], [class*="rating"], [class*="score"], [data-testid*="rating"]')) {
-                    const t = (el.getAttribute('aria-label') || el.textContent || '').trim();
-                    if (t) ratingTexts.push(t);
-                }
-
-                cards.push({ href, title, description: texts[0] || null, tags, costTexts, likesText, ratingTexts, logoUrl });
-            }
-            return cards;
-        });
-        const out = new Map();
-        for (const raw of rawCards) {
-            const url = toolUrl(raw.href, pageUrl);
-            if (!url) continue;
-            if (only && !only.has(url)) continue;
-            const pricingToken = raw.costTexts.find((v) => PRICING_RE.test(v));
-            const licenseToken = raw.costTexts.find((v) => LICENSE_TYPE_RE.test(v));
-            const category = raw.tags.find((t) => !PRICING_RE.test(t) && !LICENSE_TYPE_RE.test(t)) || null;
-            const item = cleanItem({
-                title: raw.title,
-                description: raw.description,
-                url,
-                likes: raw.likesText ? intVal(raw.likesText) : null,
-                rating: (raw.ratingTexts || []).map(floatVal).find((v) => Number.isFinite(v)) ?? null,
-                pricing: pricingToken || null,
-                cost: raw.costTexts.join(' | ') || null,
-                license: licenseToken || null,
-                logoUrl: raw.logoUrl || null,
-                category,
-                _source: 'dom',
-            });
-            if (item) out.set(item.url, mergeItem(out.get(item.url), item));
-        }
-        return [...out.values()];
-    } catch { return []; }
-};
-
-// ─── Unified extraction from all page sources ───────────────────────────────
-const extractFromPage = ($, pageUrl, apiPayloads = []) => {
-    const out = new Map();
-    const merge = (items) => { for (const it of items) if (it?.url) out.set(it.url, mergeItem(out.get(it.url), it)); };
-
-    // 1. Intercepted API JSON payloads (highest quality)
-    for (const payload of apiPayloads) merge(fromObjectTree(payload, pageUrl, 'internal-api'));
-
-    // 2. Next.js Flight data (RSC payload in scripts — most items come from here)
-    merge(extractFromNextFlight($));
-
-    // 3. __NEXT_DATA__ script tag
-    const nextData = parseJson($('script#__NEXT_DATA__').first().text());
-    if (nextData) merge(fromObjectTree(nextData, pageUrl, '__NEXT_DATA__'));
-
-    // 4. JSON-LD structured data
-    $('script[type="application/ld+json"]').each((_, el) => {
-        const json = parseJson($(el).text());
-        if (json) merge(fromObjectTree(json, pageUrl, 'json-ld'));
-    });
-
-    // 5. HTML card parsing (fallback)
-    merge(extractCards($, pageUrl));
-
-    return [...out.values()];
-};
-
-const mergeItemSets = (...sets) => {
-    const out = new Map();
-    for (const s of sets) if (Array.isArray(s)) for (const it of s) if (it?.url) out.set(it.url, mergeItem(out.get(it.url), it));
-    return [...out.values()];
-};
-
 // ─── Input normalization ─────────────────────────────────────────────────────
 const numInput = (v, fallback, name, max = Number.MAX_SAFE_INTEGER) => {
     if (v == null || v === '') return fallback;
@@ -624,22 +84,76 @@ const numInput = (v, fallback, name, max = Number.MAX_SAFE_INTEGER) => {
 };
 
 const normalizeInput = (raw = {}) => {
-    const keyword = txt(raw.keyword);
+    const mode = txt(raw.mode).toLowerCase() || 'listings';
+    if (!RUN_MODES.has(mode)) throw new Error(`Input "mode" must be one of: ${[...RUN_MODES].join(', ')}.`);
+    const seedCategories = mode === 'categories' ? txt(raw.seedCategories).toLowerCase() || 'none' : 'none';
+    if (!CATEGORY_SEEDING.includes(seedCategories)) throw new Error(`Input "seedCategories" must be one of: ${CATEGORY_SEEDING.join(', ')}.`);
+    let categoryPattern = null;
+    if (seedCategories === 'matching') {
+        if (!txt(raw.categoryPattern)) throw new Error('Input "categoryPattern" is required when "seedCategories" is "matching".');
+        try { categoryPattern = new RegExp(txt(raw.categoryPattern), 'i'); } catch (error) {
+            throw new Error(`Input "categoryPattern" is not a valid regular expression: ${error.message}`);
+        }
+    }
+    const maxCategoryPages = numInput(raw.max_category_pages, 500, 'max_category_pages', 5000);
+    const sitemapUrl = txt(raw.sitemapUrl) || SITEMAP_INDEX_URL;
+    const maxSitemaps = numInput(raw.max_sitemaps, 1000, 'max_sitemaps', 10000);
+    const skipUnchanged = raw.skipUnchanged !== false;
+    const sitemapStoreName = txt(raw.sitemapStoreName) || DEFAULT_SITEMAP_STORE;
+    // Snapshots only hold listing and category pages
+    if (mode === 'sitemap' && txt(raw.replayDir)) throw new Error('Input "replayDir" is not supported in sitemap mode.');
     const resultsWanted = numInput(raw.results_wanted, 100, 'results_wanted', 5000);
     const maxPages = numInput(raw.max_pages, 20, 'max_pages', 500);
-    const list = [];
-    const add = (s) => {
-        if (!s) return;
-        if (typeof s === 'string' && txt(s)) list.push(txt(s));
-        if (typeof s === 'object' && txt(s.url)) list.push(txt(s.url));
+    // Detail and review pages are never snapshotted, so replay cannot serve them
+    const collectDetails = raw.collectDetails === true && !txt(raw.replayDir);
+    const maxDetailPages = numInput(raw.max_detail_pages, resultsWanted, 'max_detail_pages', 5000);
+    const collectReviews = raw.collectReviews === true && !txt(raw.replayDir);
+    const maxReviewsPerTool = numInput(raw.max_reviews_per_tool, 50, 'max_reviews_per_tool', 1000);
+    const maxReviewPages = numInput(raw.max_review_pages, 5, 'max_review_pages', 100);
+    const graphDepth = Number(raw.graph_depth) === 0 ? 0 : numInput(raw.graph_depth, 0, 'graph_depth', 10);
+    const maxGraphNodes = numInput(raw.max_graph_nodes, 100, 'max_graph_nodes', 5000);
+    const graphExportFormats = [...new Set((Array.isArray(raw.graphExportFormats) ? raw.graphExportFormats : []).map((f) => txt(f).toLowerCase()))];
+    const crawlerType = txt(raw.crawlerType).toLowerCase() || 'playwright';
+    if (!CRAWLER_TYPES.has(crawlerType)) throw new Error(`Input "crawlerType" must be one of: ${[...CRAWLER_TYPES].join(', ')}.`);
+    const replayDir = txt(raw.replayDir) || null;
+    const saveSnapshots = raw.saveSnapshots === true && !replayDir;
+    // A replay must not overwrite the live runs' snapshot with old pages marked as seen now
+    const deltaMode = raw.deltaMode === true && !replayDir;
+    const deltaOnlyChanges = deltaMode && raw.deltaOnlyChanges === true;
+    const deltaStoreName = txt(raw.deltaStoreName) || DEFAULT_DELTA_STORE;
+    const aggregateSightings = raw.aggregateSightings === true;
+    const strictValidation = raw.strictValidation === true;
+    const maxQuarantineRate = raw.max_quarantine_rate == null || raw.max_quarantine_rate === '' ? 0.05 : Number(raw.max_quarantine_rate);
+    if (!(maxQuarantineRate >= 0 && maxQuarantineRate <= 1)) throw new Error('Input "max_quarantine_rate" must be between 0 and 1.');
+    // Replayed pages are old, so observations stamped with the replay time would corrupt the series
+    const trackHistory = raw.trackHistory === true && !replayDir;
+    const historyDatasetName = txt(raw.historyDatasetName) || DEFAULT_HISTORY_DATASET;
+    const includeProvenance = raw.includeProvenance === true;
+    const unknownFormat = graphExportFormats.find((f) => !GRAPH_EXPORT_FORMATS[f]);
+    if (unknownFormat) throw new Error(`Input "graphExportFormats" has unsupported format "${unknownFormat}".`);
+    const outputFormats = [...new Set((Array.isArray(raw.outputFormats) ? raw.outputFormats : []).map((f) => txt(f).toLowerCase()))];
+    const unknownOutput = outputFormats.find((f) => !OUTPUT_FORMATS[f]);
+    if (unknownOutput) throw new Error(`Input "outputFormats" has unsupported format "${unknownOutput}".`);
+    // Not txt(): a plain space or newline is a valid separator
+    const csvArrayJoin = typeof raw.csvArrayJoin === 'string' && raw.csvArrayJoin !== '' ? raw.csvArrayJoin : DEFAULT_ARRAY_JOIN;
+    const { keyword, keywordSeeds, resultsPerKeyword, startUrls, seedOverrides } = resolveSeeds(raw);
+    return {
+        mode, seedCategories, categoryPattern, maxCategoryPages,
+        sitemapUrl, maxSitemaps, skipUnchanged, sitemapStoreName,
+        keyword, keywordSeeds, resultsPerKeyword,
+        startUrls, seedOverrides, resultsWanted, maxPages, crawlerType,
+        collectDetails, maxDetailPages,
+        collectReviews, maxReviewsPerTool, maxReviewPages,
+        graphDepth, maxGraphNodes, graphExportFormats,
+        outputFormats, csvArrayJoin,
+        replayDir, saveSnapshots,
+        filters: normalizeFilters(raw),
+        deltaMode, deltaOnlyChanges, deltaStoreName,
+        trackHistory, historyDatasetName,
+        includeProvenance, aggregateSightings,
+        strictValidation, maxQuarantineRate,
+        proxyConfiguration: raw.proxyConfiguration,
     };
-    const startList = Array.isArray(raw.startUrls) ? raw.startUrls : [];
-    if (startList.length > 0) startList.forEach(add);
-    else if (keyword) list.push(searchUrl(keyword));
-    else list.push(DEFAULT_START);
-    const startUrls = [...new Set(list.map(normalizeStartUrl).filter(Boolean))];
-    if (!startUrls.length) throw new Error('No valid start URLs resolved from input.');
-    return { keyword, startUrls, resultsWanted, maxPages, proxyConfiguration: raw.proxyConfiguration };
 };
 
 const input = normalizeInput((await Actor.getInput()) || {});
@@ -658,14 +172,37 @@ const proxyConfiguration = await Actor.createProxyConfiguration(proxyInput);
 const proxyEnabled = Boolean(proxyInput.useApifyProxy || (Array.isArray(proxyInput.proxyUrls) && proxyInput.proxyUrls.length));
 
 log.info('Starting AlternativeTo scraper', {
-    startUrls: input.startUrls.length,
+    mode: input.mode,
+    categorySeeding: input.mode === 'categories' ? input.seedCategories : null,
+    sitemap: input.mode === 'sitemap' ? { url: input.sitemapUrl, skipUnchanged: input.skipUnchanged, store: input.sitemapStoreName } : null,
+    startUrls: input.mode === 'listings' ? input.startUrls.length : null,
+    keywords: input.keywordSeeds.size || null,
     resultsWanted: input.resultsWanted,
+    resultsPerKeyword: input.keywordSeeds.size ? input.resultsPerKeyword : null,
+    seedOverrides: input.seedOverrides.size || null,
     maxPages: input.maxPages,
+    crawlerType: input.crawlerType,
+    collectDetails: input.collectDetails,
+    maxDetailPages: input.collectDetails ? input.maxDetailPages : null,
+    collectReviews: input.collectReviews,
+    graphDepth: input.graphDepth || null,
+    graphExportFormats: input.graphExportFormats.length ? input.graphExportFormats : null,
+    outputFormats: input.outputFormats.length ? input.outputFormats : null,
+    replayDir: input.replayDir,
+    saveSnapshots: input.saveSnapshots,
+    filters: input.filters,
+    deltaMode: input.deltaMode ? { store: input.deltaStoreName, onlyChanges: input.deltaOnlyChanges } : null,
+    historyDataset: input.trackHistory ? input.historyDatasetName : null,
+    aggregateSightings: input.aggregateSightings,
+    strictValidation: input.strictValidation ? { maxQuarantineRate: input.maxQuarantineRate } : null,
     proxyEnabled,
 });
 
 // ─── Runtime state ───────────────────────────────────────────────────────────
 let pushed = 0;
+let detailRequests = 0;
+let pendingDetails = 0;
+let graphNodes = 0;
 const discovered = new Set();
 const pushedUrls = new Set();
 const seenPages = new Set();
@@ -675,39 +212,258 @@ const blockedPages = new Set();
 const blockedFallbackQueued = new Set();
 let hasQueuedBlockedFallback = false;
 const paginationRecoveryQueued = new Set();
+const reviewsDataset = input.collectReviews ? await Actor.openDataset(REVIEWS_DATASET) : null;
+const reviewCounts = new Map();
+const seenReviews = new Set();
+let reviewsPushed = 0;
+const filterRejections = {};
+
+// Delta mode: previous snapshot, what this run saw per seed, and which seeds were cut short
+const deltaStore = input.deltaMode ? await Actor.openKeyValueStore(input.deltaStoreName) : null;
+const deltaPrev = deltaStore ? loadDeltaSnapshot(await deltaStore.getValue(DELTA_SNAPSHOT_KEY)) : null;
+const deltaItems = [];
+const deltaCounts = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+// Unchanged records `deltaOnlyChanges` kept out of the dataset, so a resumed run can still snapshot them
+const unwrittenUnchanged = new Map();
+const seedListings = new Map();
+// Seeds cut short (by URL), with the first reason: global-results, seed-results, seed-pages, graph-nodes or page-failed
+const truncatedSeeds = new Map();
+const truncateSeed = (seed, reason) => { if (!truncatedSeeds.has(seed)) truncatedSeeds.set(seed, reason); };
+
+// Where each tool was first listed, and this run's history rows
+const listingContext = new Map();
+let runStartedAt = new Date().toISOString();
+const observations = [];
+// Tools first listed on graph-expanded pages, whose history rows carry no seed position
+const expandedTools = new Set();
+
+// RUN_REPORT inputs: pushed items (with provenance), per-page listing counts, recovery attempts
+const reportItems = [];
+const reportPages = [];
+const recoveries = [];
+
+// Which seeds listed each tool (in the order they found it) and how many results each seed has claimed.
+// Keyword seeds stop at `results_per_keyword`; tools another seed already found still fill that budget.
+// With several seeds a later one can still tag an already-kept tool, so records wait in the outbox until the
+// next persistState flush. Tools tagged (or, when aggregating, listed again) after their record was written
+// get their final tags in SEED_TAGS.
+const sightings = new Map();
+const seedClaims = new Map();
+const droppedUrls = new Set();
+const holdWrites = input.startUrls.length > 1 || input.aggregateSightings || input.seedCategories !== 'none';
+const outbox = new Map();
+const lateTagged = new Set();
+
+// Aggregation mode: every listing appearance of each tool, folded into its record at write-out
+const appearances = new Map();
+
+// A seed is finished once none of its listing pages are queued or in flight; its unused share then goes to the others
+const seedOpenPages = new Map();
+// First pages of every listing queued (start URLs and graph expansions), which share the `list:<url>` unique key,
+// so a graph expansion never queues one again and counts a page the queue would drop
+const queuedListings = new Set();
+const finishedSeeds = new Set();
+const seedPageCounts = new Map();
+const trackSeedPages = (seed, n) => {
+    const open = (seedOpenPages.get(seed) || 0) + n;
+    seedOpenPages.set(seed, open);
+    if (open > 0) finishedSeeds.delete(seed);
+    else finishedSeeds.add(seed);
+};
+const ownBudget = (seed) => input.seedOverrides.get(seed)?.resultsWanted ?? null;
+const seedMaxPages = (seed) => input.seedOverrides.get(seed)?.maxPages ?? input.maxPages;
+const currentSeedLimits = () => seedLimits(input.resultsWanted, [...seedOpenPages.keys()].map((seed) => ({
+    seed, budget: ownBudget(seed), claims: seedClaims.get(seed) || 0, finished: finishedSeeds.has(seed),
+})));
+const seedLimit = (seed) => currentSeedLimits().get(seed) ?? ownBudget(seed) ?? input.resultsWanted;
+
+const seedFull = (seed) => (seedClaims.get(seed) || 0) >= seedLimit(seed);
+const claimForSeed = (seed, n = 1) => seedClaims.set(seed, (seedClaims.get(seed) || 0) + n);
+
+/** Records that `seed` listed `url`; false when it already had. */
+const tagSighting = (url, seed) => {
+    if (!sightings.has(url)) sightings.set(url, new Set());
+    if (sightings.get(url).has(seed)) return false;
+    sightings.get(url).add(seed);
+    if (pushedUrls.has(url) && !outbox.has(url)) lateTagged.add(url);
+    return true;
+};
+
+const discoveryTags = (url) => seedTags(sightings.get(url), input.keywordSeeds);
+
+/** The dataset record: tags, aggregated appearances and delta status. Null when delta mode leaves it out. */
+const finalRecord = (record) => {
+    const out = { ...record, ...discoveryTags(record.url) };
+    if (input.aggregateSightings) Object.assign(out, appearanceFields(appearances.get(record.url)));
+    if (!deltaPrev) return out;
+    const delta = classifyDelta(deltaPrev, out);
+    deltaCounts[delta.deltaStatus] += 1;
+    deltaItems.push(out);
+    // Unchanged tools still count against results_wanted so the crawl scope stays the same every run
+    if (input.deltaOnlyChanges && delta.deltaStatus === 'unchanged') {
+        unwrittenUnchanged.set(out.url, out);
+        return null;
+    }
+    return { ...out, ...delta };
+};
+
+const writeItem = async (record) => {
+    if (holdWrites) {
+        outbox.set(record.url, record);
+        return;
+    }
+    const out = finalRecord(record);
+    if (out) await Actor.pushData(out);
+};
+
+const flushOutbox = async () => {
+    if (!outbox.size) return;
+    const records = [...outbox.values()].map(finalRecord).filter(Boolean);
+    outbox.clear();
+    if (records.length) await Actor.pushData(records);
+};
+
+// Category mode: every category seen (by URL), the category pages still queued, and the listings seeded from them
+const categories = new Map();
+let categoryPages = 0;
+let categoryRequests = input.mode === 'categories' ? 1 : 0;
+let pendingCategoryPages = categoryRequests;
+const categorySeeds = [];
+
+// Sitemap mode: the tools listed (by URL), the lastmod of each tool scraped this run, and the previous run's state
+const sitemapTools = new Map();
+const sitemapScraped = new Map();
+const sitemapStore = input.mode === 'sitemap' ? await Actor.openKeyValueStore(input.sitemapStoreName) : null;
+const sitemapPrev = sitemapStore ? loadSitemapState(await sitemapStore.getValue(SITEMAP_STATE_KEY)) : null;
+let sitemapFiles = 0;
+let sitemapUnchanged = 0;
+let sitemapCollected = false;
+
+// Items failing dataset_schema.json go to the quarantine dataset and do not count against results_wanted
+const validateItem = createItemValidator(await loadItemSchema());
+let quarantineDataset = null;
+const quarantinedUrls = new Set();
+
+// HTTP mode runs the browser crawler after the HTTP crawler finishes; until then,
+// browser-only requests (escalated listings, details, reviews) wait here. Listing pages the browser
+// phase queues wait for the next HTTP phase the same way.
+const browserBacklog = [];
+const httpBacklog = [];
+let browserPhase = input.crawlerType !== 'http';
+let escalatedPages = 0;
+
+const enqueueBrowser = async (requests) => {
+    if (browserPhase) await crawler.addRequests(requests);
+    else browserBacklog.push(...requests);
+};
+
+const enqueueRouted = async (requests) => {
+    const toHttp = requests.filter((request) => crawlerFor(request, { httpMode: input.crawlerType === 'http' }) === 'http');
+    const toBrowser = requests.filter((request) => !toHttp.includes(request));
+    if (toHttp.length && browserPhase) httpBacklog.push(...toHttp);
+    else if (toHttp.length) await httpCrawler.addRequests(toHttp);
+    if (toBrowser.length) await enqueueBrowser(toBrowser);
+};
+
+const enqueueReviews = async (url) => {
+    const first = reviewsUrl(url);
+    if (!first) return;
+    await enqueueBrowser([{ url: first, uniqueKey: `reviews:${first}`, userData: { label: 'REVIEWS', toolUrl: url, pageNo: 1 } }]);
+};
+
+/** Item fields describing the listing that first showed the tool; `scrapedAt` is the push time. */
+const discoveryContext = (context) => ({
+    seedUrl: context?.seedUrl ?? null,
+    pageKind: context?.pageKind ?? null,
+    pageNo: context?.pageNo ?? null,
+    position: context?.position ?? null,
+    positionOnPage: context?.positionOnPage ?? null,
+    ...(context?.lastmod ? { lastmod: context.lastmod } : {}),
+    scrapedAt: new Date().toISOString(),
+});
 
 const push = async (item) => {
     const clean = cleanItem(item);
     if (!clean?.url || pushedUrls.has(clean.url) || pushed >= input.resultsWanted) return false;
+    const rejectedBy = filterRejection(clean, input.filters);
+    if (rejectedBy) {
+        filterRejections[rejectedBy] = (filterRejections[rejectedBy] || 0) + 1;
+        return false;
+    }
+    const provenance = clean._provenance;
+    if (!input.includeProvenance) delete clean._provenance;
+    const context = listingContext.get(clean.url);
+    Object.assign(clean, discoveryContext(context));
+    const validationErrors = validateItem(clean);
+    if (validationErrors) {
+        if (quarantinedUrls.has(clean.url)) return false;
+        quarantinedUrls.add(clean.url);
+        quarantineDataset ??= await Actor.openDataset(QUARANTINE_DATASET);
+        await quarantineDataset.pushData({ ...clean, validationErrors });
+        log.warning('Item failed schema validation, quarantined', { url: clean.url, errors: validationErrors });
+        return false;
+    }
+    reportItems.push({ ...clean, _provenance: provenance });
     pushedUrls.add(clean.url);
-    await Actor.pushData(clean);
     pushed += 1;
+    await writeItem(clean);
+    if (input.graphExportFormats.length) exportNodes.push(clean);
+    // History positions are ranks on the seed's own listing, not on graph-expanded pages
+    if (input.trackHistory) observations.push(observation(clean, context?.depth === 0 ? context : null, runStartedAt));
+    if (input.trackHistory && context?.depth > 0) expandedTools.add(clean.url);
+    if (input.collectReviews) await enqueueReviews(clean.url);
     return true;
 };
 
-// ─── Pagination helper ───────────────────────────────────────────────────────
-const nextPage = ($, currentUrl, pageKind) => {
-    const direct = $('a[rel="next"], a[aria-label*="next" i]').first().attr('href');
-    if (direct) return absUrl(direct, currentUrl);
-    const byText = $('a').filter((_, el) => /^next$/i.test(txt($(el).text()))).first().attr('href');
-    if (byText) return absUrl(byText, currentUrl);
-    const canFallback = pageKind === PAGE_KIND.SEARCH || pageKind === PAGE_KIND.CATEGORY || pageKind === PAGE_KIND.SOFTWARE;
-    if (!canFallback) return null;
+// ─── "is alternative to" edges from /software/<slug>/ pages ──────────────────
+const seenEdges = new Set();
+const exportEdges = [];
+const exportNodes = [];
+let edgesDataset = null;
+let edgesPushed = 0;
+
+const pushEdges = async (pageUrl, pageNo, offset, items, ordered) => {
+    const source = toolUrl(pageUrl.split('?')[0]);
+    if (!source) return 0;
+    const batch = alternativeEdges(source, ordered, { items, pageNo, offset, seen: seenEdges });
+    if (!batch.length) return 0;
+    if (input.graphExportFormats.length) exportEdges.push(...batch);
+    edgesDataset ??= await Actor.openDataset(EDGES_DATASET);
+    await edgesDataset.pushData(batch);
+    edgesPushed += batch.length;
+    return batch.length;
+};
+
+// ─── Page snapshots (saved live, replayed offline) ───────────────────────────
+let snapshotStore = null;
+
+const saveSnapshot = async ({ url, pageNo, depth, html, apiPayloads }) => {
     try {
-        const u = new URL(currentUrl);
-        const curr = parseInt(u.searchParams.get('p') || '1', 10);
-        if (!Number.isFinite(curr)) return null;
-        u.searchParams.set('p', String(curr + 1));
-        return u.href !== currentUrl ? u.href : null;
-    } catch { return null; }
+        const id = snapshotId(url);
+        snapshotStore ??= await Actor.openKeyValueStore(SNAPSHOTS_STORE);
+        await snapshotStore.setValue(id, html, { contentType: 'text/html; charset=utf-8' });
+        await snapshotStore.setValue(`${id}-meta`, { url, pageNo, depth, savedAt: new Date().toISOString(), apiPayloads });
+    } catch (error) {
+        log.warning('Failed to save page snapshot', { url, error: error?.message });
+    }
 };
 
-// ─── Block-detection helpers ─────────────────────────────────────────────────
-const blocked = ($, html) => {
-    const title = txt($('title').first().text());
-    if (BLOCKED_TITLES.some((re) => re.test(title))) return true;
-    const lower = String(html || '').toLowerCase();
-    return lower.includes('cf-chl') || lower.includes('cf-challenge') || lower.includes('datadome') || lower.includes('perimeterx');
+// Returns how many of the given reviews were new and fit under the per-tool cap
+const pushReviews = async (tool, reviews) => {
+    const batch = [];
+    let count = reviewCounts.get(tool) || 0;
+    for (const review of reviews) {
+        if (count >= input.maxReviewsPerTool) break;
+        const key = `${tool}|${reviewKey(review)}`;
+        if (seenReviews.has(key)) continue;
+        seenReviews.add(key);
+        batch.push({ ...review, scrapedAt: new Date().toISOString() });
+        count += 1;
+    }
+    reviewCounts.set(tool, count);
+    if (batch.length) await reviewsDataset.pushData(batch);
+    reviewsPushed += batch.length;
+    return batch.length;
 };
 
 const getStablePageContent = async (page, currentUrl) => {
@@ -773,23 +529,272 @@ const hydrateTopCards = async (page) => {
     } catch { /* non-fatal */ }
 };
 
-// ─── Router: single LIST handler — listing pages only, no detail pages ───────
+const contentOrRetire = async (page, currentUrl, session) => {
+    try {
+        return await getStablePageContent(page, currentUrl);
+    } catch (error) {
+        const errorMsg = error?.message || '';
+        if (/403|429|forbidden|blocked/i.test(errorMsg)) session?.retire();
+        throw error;
+    }
+};
+
+// Listing items waiting on their DETAIL request still count against results_wanted
+const claimed = () => pushed + pendingDetails;
+
+// Next pages of listings the results budget stopped while details were pending, by uniqueKey. The filters only
+// see a tool once its about page is merged, so a dropped tool gives its claim back and the listing goes on.
+const parkedListings = new Map();
+
+const resumeParkedListings = async (enqueue) => {
+    for (const [key, { seed, request, reason, wasTruncated }] of parkedListings) {
+        if (claimed() >= input.resultsWanted) return;
+        if (seedFull(seed)) continue;
+        parkedListings.delete(key);
+        const stillParked = [...parkedListings.values()].some((parked) => parked.seed === seed);
+        if (!wasTruncated && !stillParked && truncatedSeeds.get(seed) === reason) truncatedSeeds.delete(seed);
+        trackSeedPages(seed, 1);
+        log.info('Resuming listing after a dropped tool', { url: request.url, seed, pageNo: request.userData.pageNo });
+        await enqueue([request]);
+    }
+};
+
+const settleDetail = async (item, seed, enqueue) => {
+    pendingDetails = Math.max(0, pendingDetails - 1);
+    if (await push(item)) return;
+    droppedUrls.add(item.url);
+    if (!seed) return;
+    claimForSeed(seed, -1);
+    await resumeParkedListings(enqueue);
+};
+
+// Shared by the live LIST handler and offline replay: edges, pushes, detail/graph
+// requests (via `enqueue`), and the next listing request (returned, not queued).
+const processListing = async ({ currentUrl, pageKind, pageNo, depth, seed, offset = 0, $, extracted, listingUrls, enqueue }) => {
+    seedPageCounts.set(seed, (seedPageCounts.get(seed) || 0) + 1);
+    // `offset` is how many tools this listing's earlier pages showed, so `position` and edge `rank` run across pages
+    const ordered = listingUrls.size ? [...listingUrls] : extracted.map((it) => it?.url).filter(Boolean);
+    if (pageKind === PAGE_KIND.SOFTWARE) await pushEdges(currentUrl, pageNo, offset, extracted, ordered);
+    if (deltaPrev) {
+        if (!seedListings.has(seed)) seedListings.set(seed, new Set());
+        for (const it of extracted) if (it?.url) seedListings.get(seed).add(it.url);
+    }
+    for (const { url, positionOnPage, position } of pagePositions(ordered, offset)) {
+        if (input.aggregateSightings) {
+            if (!appearances.has(url)) appearances.set(url, []);
+            appearances.get(url).push(appearance(currentUrl, pageKind, position));
+            if (pushedUrls.has(url) && !outbox.has(url)) lateTagged.add(url);
+        }
+        if (listingContext.has(url)) continue;
+        listingContext.set(url, { seedUrl: seed, pageKind, pageNo, depth, positionOnPage, position });
+    }
+
+    // Sort by completeness: items WITH description first, then sparse items last
+    const complete = [];
+    const sparse = [];
+    const repeats = [];
+    for (const it of extracted) {
+        if (!it?.url) continue;
+        if (discovered.has(it.url)) repeats.push(it);
+        else if (it.description || it.category || it.pricing) complete.push(it);
+        else sparse.push(it);
+    }
+
+    // Aggregation mode: a repeat sighting fills gaps in the buffered record (items still waiting on details are skipped)
+    if (input.aggregateSightings) {
+        for (const it of repeats) {
+            if (outbox.has(it.url)) outbox.set(it.url, mergeSighting(outbox.get(it.url), it, { keepProvenance: input.includeProvenance }));
+        }
+    }
+
+    // Tools another seed already kept are tagged with this seed too and fill its budget
+    for (const it of repeats) {
+        if (seedFull(seed)) break;
+        if (!droppedUrls.has(it.url) && tagSighting(it.url, seed)) claimForSeed(seed);
+    }
+    const fresh = [...complete, ...sparse];
+    reportPages.push({ url: currentUrl, seedUrl: seed, pageNo, depth, expected: listingUrls.size || null, extracted: extracted.length, fresh: fresh.length });
+
+    log.info('Page parsed', {
+        url: currentUrl, pageNo,
+        expectedListings: listingUrls.size || null,
+        total: extracted.length, complete: complete.length, sparse: sparse.length,
+        fresh: fresh.length, pushed, pendingDetails,
+    });
+
+    // Push all items — complete ones first for better data quality
+    const detailQueue = [];
+    const accepted = [];
+    for (const item of fresh) {
+        if (claimed() >= input.resultsWanted || seedFull(seed)) {
+            truncateSeed(seed, claimed() >= input.resultsWanted ? 'global-results' : 'seed-results');
+            break;
+        }
+        discovered.add(item.url);
+        accepted.push(item);
+        tagSighting(item.url, seed);
+        claimForSeed(seed);
+        const detailUrl = input.collectDetails && detailRequests < input.maxDetailPages ? aboutUrl(item.url) : null;
+        if (!detailUrl) {
+            if (await push(item)) continue;
+            droppedUrls.add(item.url);
+            claimForSeed(seed, -1);
+            continue;
+        }
+        detailRequests += 1;
+        pendingDetails += 1;
+        detailQueue.push({ url: detailUrl, uniqueKey: `detail:${item.url}`, userData: { label: 'DETAIL', item, seed } });
+    }
+    if (detailQueue.length) await enqueue(detailQueue);
+
+    // Graph mode: expand each newly discovered alternative into its own alternatives page.
+    // The request queue is FIFO, so this walks the graph breadth-first.
+    if (pageKind === PAGE_KIND.SOFTWARE && claimed() < input.resultsWanted && !seedFull(seed)) {
+        const { urls, truncated } = graphExpansions(accepted.map((item) => item.url), {
+            depth, maxDepth: input.graphDepth, nodes: graphNodes, maxNodes: input.maxGraphNodes, visited: seenPages, queued: queuedListings,
+        });
+        if (truncated) truncateSeed(seed, 'graph-nodes');
+        graphNodes += urls.length;
+        for (const url of urls) queuedListings.add(url);
+        const expansions = urls.map((url) => ({ url, uniqueKey: `list:${url}`, userData: { label: 'LIST', pageNo: 1, depth: depth + 1, seed, seedStart: false } }));
+        if (expansions.length) {
+            trackSeedPages(seed, expansions.length);
+            await enqueue(expansions);
+            log.info('Queued graph expansion', { from: currentUrl, depth: depth + 1, queued: expansions.length, graphNodes });
+        }
+    }
+
+    // Pagination — the ?p= fallback always has a next page, so an empty page marks the end
+    const nextRequest = () => {
+        if (!extracted.length && !listingUrls.size) return null;
+        const n = nextPage($, currentUrl, pageKind);
+        if (!n || seenPages.has(n)) return null;
+        const request = {
+            url: n,
+            uniqueKey: `list:${n}`,
+            userData: { label: 'LIST', pageNo: pageNo + 1, depth, seed, ...nextPageOffset(offset, ordered.length), seedStart: false },
+        };
+        if (claimed() >= input.resultsWanted || seedFull(seed) || pageNo >= seedMaxPages(seed)) {
+            const reason = claimed() >= input.resultsWanted ? 'global-results' : (seedFull(seed) ? 'seed-results' : 'seed-pages');
+            if (reason !== 'seed-pages' && pendingDetails && pageNo < seedMaxPages(seed)) {
+                parkedListings.set(request.uniqueKey, { seed, request, reason, wasTruncated: truncatedSeeds.has(seed) });
+            }
+            truncateSeed(seed, reason);
+            return null;
+        }
+        return request;
+    };
+    // The next page takes this one's place among the seed's open pages
+    const next = nextRequest();
+    if (!next) trackSeedPages(seed, -1);
+    return next;
+};
+
+// The queue deduplicates seed requests by uniqueKey, so a seed requested again (a resumed run) opens no new page
+const seedRequest = (url) => {
+    if (!seedOpenPages.has(url)) trackSeedPages(url, 1);
+    queuedListings.add(url);
+    return { url, uniqueKey: `list:${url}`, userData: { label: 'LIST', pageNo: 1, seed: url, seedStart: true } };
+};
+
+// ─── Category discovery ──────────────────────────────────────────────────────
+// Records the page's own category and queues every category it links to, up to max_category_pages
+const processCategoryPage = async ({ currentUrl, $, enqueue }) => {
+    categoryPages += 1;
+    const ref = categoryRef(currentUrl);
+    if (ref) {
+        const info = categoryPageInfo($);
+        const prev = categories.get(ref.url);
+        categories.set(ref.url, { ...ref, name: prev?.name || info.name, itemCount: prev?.itemCount ?? info.itemCount, visited: true });
+    }
+    const requests = [];
+    for (const link of extractCategoryLinks($, currentUrl)) {
+        const prev = categories.get(link.url);
+        if (prev) {
+            prev.name ||= link.name;
+            prev.itemCount ??= link.itemCount;
+            continue;
+        }
+        categories.set(link.url, { ...link, visited: false });
+        if (categoryRequests >= input.maxCategoryPages) continue;
+        categoryRequests += 1;
+        pendingCategoryPages += 1;
+        requests.push({ url: link.url, uniqueKey: `category:${link.url}`, userData: { label: 'CATEGORY' } });
+    }
+    if (requests.length) await enqueue(requests);
+    log.info('Category page parsed', { url: currentUrl, categories: categories.size, queued: requests.length, pending: pendingCategoryPages - 1 });
+};
+
+// Called once per category request, handled or failed. After the last one the tree is complete,
+// so leaves are known and the listing crawl can be seeded.
+const settleCategoryPage = async (enqueueListings) => {
+    pendingCategoryPages -= 1;
+    if (pendingCategoryPages > 0 || input.seedCategories === 'none') return;
+    const urls = selectCategorySeeds(categoryEntries(categories), input.seedCategories, input.categoryPattern);
+    categorySeeds.push(...urls);
+    log.info('Seeding listings from categories', { seeding: input.seedCategories, seeds: urls.length });
+    if (urls.length) await enqueueListings(urls.map(seedRequest));
+};
+
+// ─── Router: LIST handler for listing pages, optional DETAIL for about pages ─
 const router = createPlaywrightRouter();
 
+router.addHandler('DETAIL', async ({ page, request, session }) => {
+    const currentUrl = request.loadedUrl || request.url;
+    const listingItem = cleanItem(request.userData.item);
+
+    await page.waitForLoadState('domcontentloaded', { timeout: 15000 });
+    await page.waitForSelector('h1', { timeout: 8000 }).catch(() => {});
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+    const { $ } = await contentOrRetire(page, currentUrl, session);
+    const detail = extractDetailPage($, currentUrl, pageApiPayloads.get(page) || []);
+
+    log.debug('Detail parsed', { url: currentUrl, features: detail?.features?.length || 0, website: detail?.website || null });
+    await settleDetail(mergeItem(listingItem, detail), request.userData.seed, enqueueRouted);
+    if (request.userData.sitemap) sitemapScraped.set(listingItem.url, request.userData.lastmod);
+});
+
+router.addHandler('CATEGORY', async ({ page, request, session }) => {
+    const currentUrl = request.loadedUrl || request.url;
+    await page.waitForLoadState('domcontentloaded', { timeout: 15000 });
+    await page.waitForSelector('a[href*="/category/"]', { timeout: 8000 }).catch(() => {});
+
+    const { html, $ } = await contentOrRetire(page, currentUrl, session);
+    if (input.saveSnapshots) await saveSnapshot({ url: currentUrl, pageNo: 1, depth: 0, html, apiPayloads: [] });
+    await processCategoryPage({ currentUrl, $, enqueue: enqueueRouted });
+    await settleCategoryPage(enqueueRouted);
+});
+
+router.addHandler('REVIEWS', async ({ page, request, session }) => {
+    const currentUrl = request.loadedUrl || request.url;
+    const tool = request.userData.toolUrl;
+    const pageNo = Number(request.userData.pageNo) || 1;
+
+    await page.waitForLoadState('domcontentloaded', { timeout: 15000 });
+    await scrollPage(page);
+
+    const { $ } = await contentOrRetire(page, currentUrl, session);
+    const reviews = extractReviewsFromPage($, currentUrl, pageApiPayloads.get(page) || []);
+    const added = await pushReviews(tool, reviews);
+
+    log.info('Reviews parsed', { url: currentUrl, pageNo, found: reviews.length, added, total: reviewCounts.get(tool) || 0 });
+
+    // Stop on an empty/repeated page, at the per-tool cap, or at the page cap
+    if (!added || (reviewCounts.get(tool) || 0) >= input.maxReviewsPerTool || pageNo >= input.maxReviewPages) return;
+    const n = nextPage($, currentUrl, PAGE_KIND.OTHER) || withPageNo(currentUrl, pageNo + 1);
+    if (!n || n === currentUrl) return;
+    await crawler.addRequests([{ url: n, uniqueKey: `reviews:${n}`, userData: { label: 'REVIEWS', toolUrl: tool, pageNo: pageNo + 1 } }]);
+});
+
 router.addDefaultHandler(async ({ page, request, session }) => {
     const currentUrl = request.loadedUrl || request.url;
     const pageKind = classifyPageKind(currentUrl);
     const pageNo = Number(request.userData.pageNo) || 1;
+    const depth = Number(request.userData.depth) || 0;
+    const seed = request.userData.seed || currentUrl;
     seenPages.add(currentUrl);
-    const getContentOrThrow = async () => {
-        try {
-            return await getStablePageContent(page, currentUrl);
-        } catch (error) {
-            const errorMsg = error?.message || '';
-            if (/403|429|forbidden|blocked/i.test(errorMsg)) session?.retire();
-            throw error;
-        }
-    };
+    const getContentOrThrow = () => contentOrRetire(page, currentUrl, session);
 
     // Wait for DOM + initial RSC hydration
     await page.waitForLoadState('domcontentloaded', { timeout: 15000 });
@@ -861,53 +866,29 @@ router.addDefaultHandler(async ({ page, request, session }) => {
         if (listingUrls.size) extracted = extracted.filter((it) => listingUrls.has(it.url));
     }
 
-    // Sort by completeness: items WITH description first, then sparse items last
-    const complete = [];
-    const sparse = [];
-    for (const it of extracted) {
-        if (!it?.url || discovered.has(it.url)) continue;
-        if (it.description || it.category || it.pricing) complete.push(it);
-        else sparse.push(it);
-    }
-    const fresh = [...complete, ...sparse];
+    if (input.saveSnapshots) await saveSnapshot({ url: currentUrl, pageNo, depth, html, apiPayloads: pageApiPayloads.get(page) || [] });
 
-    log.info('Page parsed', {
-        url: currentUrl, pageNo,
-        expectedListings: listingUrls.size || null,
-        total: extracted.length, complete: complete.length, sparse: sparse.length,
-        fresh: fresh.length, pushed,
+    const next = await processListing({
+        currentUrl, pageKind, pageNo, depth, seed, offset: listingOffset(request.userData), $, extracted, listingUrls,
+        enqueue: enqueueRouted,
     });
-
-    // Push all items — complete ones first for better data quality
-    for (const item of fresh) {
-        if (pushed >= input.resultsWanted) break;
-        discovered.add(item.url);
-        await push(item);
-    }
-
-    // Pagination
-    if (pushed >= input.resultsWanted || pageNo >= input.maxPages) return;
-    const n = nextPage($, currentUrl, pageKind);
-    if (!n || seenPages.has(n)) return;
+    if (!next) return;
 
     // Small human-like delay before next page
     await randDelay(1500, 3000);
 
-    log.info('Queueing next page', { next: n, nextPageNo: pageNo + 1 });
-    await crawler.addRequests([{
-        url: n,
-        uniqueKey: `list:${n}`,
-        userData: { label: 'LIST', pageNo: pageNo + 1, seedStart: false },
-    }]);
+    log.info('Queueing next page', { next: next.url, nextPageNo: next.userData.pageNo });
+    await enqueueRouted([next]);
 });
 
 // ─── Crawler configuration ───────────────────────────────────────────────────
-const maxRequestsPerCrawl = Math.min((input.startUrls.length * input.maxPages) + 50, 20000);
+const maxRequestsPerCrawl = requestBudget(input, seedMaxPages);
 
-const crawler = new PlaywrightCrawler({
+// Each browser phase gets a fresh crawler: a finished one has torn its browser pool down
+const newBrowserCrawler = (maxRequests) => new PlaywrightCrawler({
     requestHandler: router,
     proxyConfiguration,
-    maxRequestsPerCrawl,
+    maxRequestsPerCrawl: maxRequests,
     launchContext: {
         launcher: firefox,
         launchOptions: {
@@ -1003,15 +984,42 @@ const crawler = new PlaywrightCrawler({
         const failedPageNo = Number(request.userData?.pageNo) || pageNoFromUrl(failedUrl);
         const failedKind = classifyPageKind(failedUrl);
         const isListingPage = request.userData?.label === 'LIST'
-            || failedKind === PAGE_KIND.CATEGORY
-            || failedKind === PAGE_KIND.SEARCH
-            || failedKind === PAGE_KIND.SOFTWARE;
+            || (request.userData?.label !== 'CATEGORY' && (failedKind === PAGE_KIND.CATEGORY
+                || failedKind === PAGE_KIND.SEARCH
+                || failedKind === PAGE_KIND.SOFTWARE));
 
         if (isBlocked) {
             blockedPages.add(failedUrl);
             log.warning(`Blocked: ${failedUrl}`);
         }
 
+        // A failed category page still settles, or the listing crawl would never be seeded
+        if (request.userData?.label === 'CATEGORY') {
+            log.warning('Category page failed', { url: failedUrl, error: errorMsg });
+            await settleCategoryPage(enqueueRouted);
+            return;
+        }
+
+        // A sitemap tool has no listing record to fall back on; it stays out of the state and is retried next run
+        if (request.userData?.label === 'DETAIL' && request.userData.sitemap) {
+            pendingDetails = Math.max(0, pendingDetails - 1);
+            recoveries.push({ kind: 'sitemap-tool-failed', url: failedUrl, reason: errorMsg });
+            log.warning('Sitemap tool page failed', { url: failedUrl, error: errorMsg });
+            return;
+        }
+
+        // A failed about page must not lose the tool — keep the listing record instead
+        if (request.userData?.label === 'DETAIL') {
+            recoveries.push({ kind: 'detail-listing-only', url: failedUrl, reason: errorMsg });
+            await settleDetail(request.userData.item, request.userData.seed, enqueueRouted);
+            log.warning('Detail page failed, pushed listing data only', { url: failedUrl, error: errorMsg });
+            return;
+        }
+        if (request.userData?.label === 'REVIEWS') {
+            log.warning('Reviews page failed', { url: failedUrl, toolUrl: request.userData.toolUrl, error: errorMsg });
+            return;
+        }
+
         // If the very first seed page was blocked, try fallbacks
         const isSeed = request.userData?.seedStart === true && Number(request.userData?.pageNo || 1) === 1;
         if (isBlocked && isSeed && pushed === 0 && !hasQueuedBlockedFallback && !blockedFallbackQueued.has(failedUrl)) {
@@ -1019,8 +1027,10 @@ const crawler = new PlaywrightCrawler({
             hasQueuedBlockedFallback = true;
             const fallbacks = blockedStartFallbacks(failedUrl)
                 .filter((u) => !seenPages.has(u))
-                .map((u) => ({ url: u, uniqueKey: `list:${u}`, userData: { label: 'LIST', pageNo: 1, seedStart: false } }));
+                .map((u) => ({ url: u, uniqueKey: `list:${u}`, userData: { label: 'LIST', pageNo: 1, seed: request.userData.seed, seedStart: false } }));
             if (fallbacks.length) {
+                trackSeedPages(request.userData.seed, fallbacks.length);
+                recoveries.push({ kind: 'blocked-seed-fallback', url: failedUrl, reason: 'blocked', queued: fallbacks.length });
                 await crawler.addRequests(fallbacks, { forefront: true });
                 log.warning('Queued fallback URLs', { blockedUrl: failedUrl, fallbacks: fallbacks.length });
             }
@@ -1029,12 +1039,13 @@ const crawler = new PlaywrightCrawler({
         // For paginated listing pages, recover and keep moving even if one page fails.
         const canRecoverPagination = isListingPage
             && failedPageNo > 0
-            && failedPageNo < input.maxPages
-            && pushed < input.resultsWanted;
+            && failedPageNo < seedMaxPages(request.userData?.seed)
+            && claimed() < input.resultsWanted;
 
         if (canRecoverPagination) {
             const recoveryRequests = [];
-            const addRecovery = (urlCandidate, pageNo, variant) => {
+            const offsets = recoveryOffsets(request.userData);
+            const addRecovery = (urlCandidate, pageNo, variant, offset) => {
                 const normalized = normalizeStartUrl(urlCandidate);
                 if (!normalized) return;
                 const recoveryKey = `${variant}:${pageNo}:${normalized}`;
@@ -1046,6 +1057,10 @@ const crawler = new PlaywrightCrawler({
                     userData: {
                         label: 'LIST',
                         pageNo,
+                        depth: request.userData?.depth,
+                        seed: request.userData?.seed,
+                        offset,
+                        pageSize: offsets.pageSize,
                         seedStart: false,
                         recoveryAttempt: true,
                     },
@@ -1053,13 +1068,21 @@ const crawler = new PlaywrightCrawler({
             };
 
             if (isBlocked || isTimeout) {
-                addRecovery(withPageNo(failedUrl, failedPageNo), failedPageNo, 'retry-same');
-                addRecovery(toggleAlternativeToHost(withPageNo(failedUrl, failedPageNo)), failedPageNo, 'retry-alt-host');
+                addRecovery(withPageNo(failedUrl, failedPageNo), failedPageNo, 'retry-same', offsets.retry);
+                addRecovery(toggleAlternativeToHost(withPageNo(failedUrl, failedPageNo)), failedPageNo, 'retry-alt-host', offsets.retry);
             }
 
-            addRecovery(withPageNo(failedUrl, failedPageNo + 1), failedPageNo + 1, 'skip-forward');
+            addRecovery(withPageNo(failedUrl, failedPageNo + 1), failedPageNo + 1, 'skip-forward', offsets.skip);
 
             if (recoveryRequests.length) {
+                trackSeedPages(request.userData?.seed, recoveryRequests.length);
+                recoveries.push({
+                    kind: 'pagination',
+                    url: failedUrl,
+                    pageNo: failedPageNo,
+                    reason: isBlocked ? 'blocked' : (isTimeout ? 'timeout' : 'other'),
+                    queued: recoveryRequests.length,
+                });
                 await crawler.addRequests(recoveryRequests, { forefront: true });
                 log.warning('Queued pagination recovery', {
                     failedUrl,
@@ -1070,23 +1093,518 @@ const crawler = new PlaywrightCrawler({
             }
         }
 
+        // A listing page that never loaded leaves its seed's delta incomplete
+        if (isListingPage) {
+            truncateSeed(request.userData?.seed || failedUrl, 'page-failed');
+            trackSeedPages(request.userData?.seed || failedUrl, -1);
+        }
+
         if (!isBlocked) {
             log.error('Request failed', { url: failedUrl, retries: request.retryCount, error: errorMsg });
         }
     },
 });
+let crawler = newBrowserCrawler(maxRequestsPerCrawl);
+
+// ─── HTTP fast mode: static Flight/JSON extraction, browser only on demand ────
+const escalate = (request, reason) => {
+    escalatedPages += 1;
+    recoveries.push({ kind: 'browser-escalation', url: request.url, reason, queued: 1 });
+    browserBacklog.push(browserRequest(request, reason));
+    log.info('Escalating page to browser', { url: request.url, reason });
+};
+
+const httpRouter = createCheerioRouter();
+
+httpRouter.addDefaultHandler(async ({ $, body, request, session }) => {
+    const currentUrl = request.loadedUrl || request.url;
+    const pageNo = Number(request.userData.pageNo) || 1;
+    const depth = Number(request.userData.depth) || 0;
+
+    const { escalate: reason, extracted, listingUrls, missing, sparse } = httpListing($, body, currentUrl);
+    if (reason === 'blocked') session?.retire();
+    if (reason === 'sparse') log.debug('HTTP extraction incomplete', { url: currentUrl, extracted: extracted.length, missing, sparse });
+    if (reason) {
+        escalate(request, reason);
+        return;
+    }
+
+    seenPages.add(currentUrl);
+    if (input.saveSnapshots) await saveSnapshot({ url: currentUrl, pageNo, depth, html: String(body), apiPayloads: [] });
+
+    const next = await processListing({
+        currentUrl, pageKind: classifyPageKind(currentUrl), pageNo, depth, seed: request.userData.seed || currentUrl,
+        offset: listingOffset(request.userData), $, extracted, listingUrls,
+        enqueue: enqueueRouted,
+    });
+    if (next) await httpCrawler.addRequests([next]);
+});
+
+httpRouter.addHandler('CATEGORY', async ({ $, body, request, session }) => {
+    const currentUrl = request.loadedUrl || request.url;
+    if (blocked($, body)) {
+        session?.retire();
+        escalate(request, 'blocked');
+        return;
+    }
+    if (input.saveSnapshots) await saveSnapshot({ url: currentUrl, pageNo: 1, depth: 0, html: String(body), apiPayloads: [] });
+    await processCategoryPage({ currentUrl, $, enqueue: (requests) => httpCrawler.addRequests(requests) });
+    await settleCategoryPage((requests) => httpCrawler.addRequests(requests));
+});
+
+// Only sitemap mode sends about pages to the HTTP crawler; listing details always go to the browser
+httpRouter.addHandler('DETAIL', async ({ $, body, request, session }) => {
+    const currentUrl = request.loadedUrl || request.url;
+    const { escalate: reason, detail } = httpDetail($, body, currentUrl);
+    if (reason === 'blocked') session?.retire();
+    if (reason) {
+        escalate(request, reason);
+        return;
+    }
+    const listingItem = cleanItem(request.userData.item);
+    await settleDetail(mergeItem(listingItem, detail), request.userData.seed, enqueueRouted);
+    if (request.userData.sitemap) sitemapScraped.set(listingItem.url, request.userData.lastmod);
+});
+
+const newHttpCrawler = (maxRequests) => new CheerioCrawler({
+    requestHandler: httpRouter,
+    proxyConfiguration,
+    maxRequestsPerCrawl: maxRequests,
+    useSessionPool: true,
+    persistCookiesPerSession: true,
+    maxConcurrency: isOnPlatform ? 4 : 6,
+    maxRequestRetries: 1,
+    navigationTimeoutSecs: 30,
+    requestHandlerTimeoutSecs: 30,
+    sameDomainDelaySecs: 1,
+    // Anything the HTTP path cannot handle gets a second chance in the browser
+    failedRequestHandler: async ({ request }, error) => {
+        escalate(request, /403|429|forbidden|blocked/i.test(error?.message || '') ? 'blocked' : 'failed');
+    },
+});
+let httpCrawler = input.crawlerType === 'http' ? newHttpCrawler(maxRequestsPerCrawl) : null;
+
+// ─── Offline replay: same extraction + push pipeline, no network ─────────────
+const replaySnapshots = async (dir) => {
+    const { snapshots, skipped } = await loadSnapshots(dir);
+    if (skipped.length) log.warning('Snapshots without a URL (no meta file or canonical link), skipped', { files: skipped });
+    const queue = input.mode === 'categories'
+        ? [{ url: CATEGORY_INDEX_URL, userData: { label: 'CATEGORY' } }]
+        : replaySeeds(input.startUrls, snapshots).map((url) => {
+            trackSeedPages(url, 1);
+            return { url, userData: { pageNo: snapshots.get(url).pageNo, depth: 0, seed: url } };
+        });
+    const missing = new Set();
+    const enqueue = async (requests) => { for (const r of requests) if (r.userData?.label === 'LIST' || r.userData?.label === 'CATEGORY') queue.push(r); };
+    const seenCategoryPages = new Set();
+    let replayed = 0;
+
+    while (queue.length) {
+        const request = queue.shift();
+        if (request.userData?.label === 'CATEGORY') {
+            const snapshot = !seenCategoryPages.has(request.url) && snapshots.get(request.url);
+            seenCategoryPages.add(request.url);
+            if (snapshot) {
+                replayed += 1;
+                await processCategoryPage({ currentUrl: request.url, $: cheerioLoad(snapshot.html), enqueue });
+            } else {
+                missing.add(request.url);
+            }
+            await settleCategoryPage(enqueue);
+            continue;
+        }
+        const currentUrl = normalizeStartUrl(request.url);
+        const seed = request.userData?.seed || currentUrl;
+        if (!currentUrl || seenPages.has(currentUrl)) {
+            trackSeedPages(seed, -1);
+            continue;
+        }
+        const snapshot = snapshots.get(currentUrl);
+        if (!snapshot) {
+            missing.add(currentUrl);
+            truncateSeed(seed, 'page-failed');
+            trackSeedPages(seed, -1);
+            continue;
+        }
+        seenPages.add(currentUrl);
+        replayed += 1;
+
+        const $ = cheerioLoad(snapshot.html);
+        let extracted = extractFromPage($, currentUrl, snapshot.apiPayloads);
+        const listingUrls = extractPrimaryListingUrls($, currentUrl);
+        if (listingUrls.size) extracted = extracted.filter((it) => listingUrls.has(it.url));
+
+        const next = await processListing({
+            currentUrl,
+            pageKind: classifyPageKind(currentUrl),
+            pageNo: Number(request.userData?.pageNo) || snapshot.pageNo,
+            depth: Number(request.userData?.depth) || 0,
+            seed,
+            offset: listingOffset(request.userData),
+            $, extracted, listingUrls, enqueue,
+        });
+        if (next) queue.push(next);
+    }
+
+    log.info('Replay finished', { snapshots: snapshots.size, replayed, missingPages: missing.size });
+    if (missing.size) log.warning('Pages a live run would visit but have no snapshot', { urls: [...missing].slice(0, 20) });
+};
+
+// ─── Sitemap mode: every tool in the sitemap index, fed to the about-page extractor ──
+const collectSitemapTools = async () => {
+    const sitemapCrawler = new HttpCrawler({
+        proxyConfiguration,
+        additionalMimeTypes: SITEMAP_MIME_TYPES,
+        maxRequestsPerCrawl: input.maxSitemaps,
+        maxConcurrency: 2,
+        maxRequestRetries: 2,
+        requestHandlerTimeoutSecs: 60,
+        requestHandler: async ({ body, request }) => {
+            sitemapFiles += 1;
+            const { sitemaps, urls } = parseSitemap(decodeSitemap(body));
+            const tools = sitemapToolEntries(urls);
+            for (const tool of tools) {
+                const prev = sitemapTools.get(tool.url);
+                if (!prev || (tool.lastmod && !(prev.lastmod >= tool.lastmod))) sitemapTools.set(tool.url, { ...tool, sitemapUrl: request.url });
+            }
+            if (sitemaps.length) await sitemapCrawler.addRequests(sitemaps.map(({ loc }) => ({ url: loc, uniqueKey: `sitemap:${loc}` })));
+            log.info('Sitemap parsed', { url: request.url, sitemaps: sitemaps.length, urls: urls.length, tools: tools.length, totalTools: sitemapTools.size });
+        },
+        failedRequestHandler: async ({ request }, error) => {
+            log.warning('Sitemap failed', { url: request.url, error: error?.message || 'Unknown error' });
+        },
+    });
+    await sitemapCrawler.run([{ url: input.sitemapUrl, uniqueKey: `sitemap:${input.sitemapUrl}` }]);
+
+    // Most recently modified first, so a results_wanted cut keeps the freshest changes
+    const tools = [...sitemapTools.values()].sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+    const changed = input.skipUnchanged ? tools.filter((tool) => !unchangedSince(sitemapPrev, tool)) : tools;
+    sitemapUnchanged = tools.length - changed.length;
+    const queued = changed.slice(0, input.resultsWanted);
+    sitemapCollected = true;
+    log.info('Sitemap tools collected', { sitemaps: sitemapFiles, tools: tools.length, unchanged: sitemapUnchanged, queued: queued.length, previousRun: sitemapPrev.updatedAt });
+
+    detailRequests += queued.length;
+    pendingDetails += queued.length;
+    return queued.map(({ url, lastmod, sitemapUrl }) => {
+        listingContext.set(url, { seedUrl: sitemapUrl, pageKind: 'sitemap', pageNo: null, depth: null, positionOnPage: null, position: null, lastmod });
+        return { url: aboutUrl(url), uniqueKey: `detail:${url}`, userData: { label: 'DETAIL', item: { url }, sitemap: true, lastmod } };
+    });
+};
+
+// ─── Crawl state: checkpoints for migrated and resurrected runs ──────────────
+// Pending requests survive in the request queue; this is the rest of what deduplication and the budgets depend on.
+// Whatever the datasets already hold (written tools, reviews, edges, quarantined items) is read back from them on
+// resume instead, so the checkpoint stays small. Report rows are not kept, so a resumed run's RUN_REPORT covers
+// only what it crawled itself.
+const crawlState = () => ({
+    runStartedAt, pushed, detailRequests, pendingDetails, graphNodes, escalatedPages, browserPhase,
+    hasQueuedBlockedFallback, categoryPages, categoryRequests, pendingCategoryPages, sitemapFiles, sitemapUnchanged, sitemapCollected,
+    ...stateCollections(),
+    // Pushed tools no longer need their listing context, nor collected sitemaps their tool list
+    listingContext: new Map([...listingContext].filter(([url]) => !pushedUrls.has(url))),
+    sitemapTools: sitemapCollected ? null : sitemapTools,
+    // Tools the filters rejected are in no dataset, so only their lastmod has to be kept
+    sitemapScraped: new Map([...sitemapScraped].filter(([url]) => !pushedUrls.has(url) && !quarantinedUrls.has(url))),
+});
+const stateCollections = () => ({
+    discovered, pushedUrls, seenPages, paginationRecoveryQueued, blockedFallbackQueued, droppedUrls,
+    sightings, lateTagged, seedClaims, seedOpenPages, finishedSeeds, seedPageCounts, truncatedSeeds, seedListings, listingContext,
+    outbox, appearances, deltaCounts, unwrittenUnchanged, expandedTools, parkedListings, queuedListings,
+    browserBacklog, httpBacklog, categories, categorySeeds, sitemapTools, sitemapScraped, filterRejections,
+});
+
+const refill = (target, source) => {
+    if (source == null) return;
+    if (target instanceof Set) for (const value of source) target.add(value);
+    else if (target instanceof Map) for (const [key, value] of source) target.set(key, value);
+    else if (Array.isArray(target)) for (const value of source) target.push(value);
+    else Object.assign(target, source);
+};
+
+// Named datasets outlive the run, so rows from earlier runs are told apart by their timestamp
+const forEachRunRow = (dataset, stampField, fn) => dataset.forEach((row) => {
+    if (row?.[stampField] >= runStartedAt) fn(row);
+});
+
+// Writes are chained so a slow checkpoint can never land after a newer one, or after the final delete
+let stateClosed = false;
+let stateWrites = Promise.resolve();
+const saveCrawlState = () => {
+    if (stateClosed || input.replayDir) return stateWrites;
+    const record = packState(crawlState());
+    stateWrites = stateWrites
+        .then(() => Actor.setValue(CRAWL_STATE_KEY, record))
+        .catch((error) => log.warning('Crawl state not saved', { error: error?.message }));
+    return stateWrites;
+};
+// Held records are written first, so a run that dies or times out keeps them and the checkpoint stays small
+const checkpoint = async () => {
+    await flushOutbox();
+    await saveCrawlState();
+};
+const savedStateRecord = input.replayDir ? null : await Actor.getValue(CRAWL_STATE_KEY);
+const savedState = unpackState(savedStateRecord);
+if (savedState) {
+    ({
+        runStartedAt, pushed, detailRequests, pendingDetails, graphNodes, escalatedPages, browserPhase,
+        hasQueuedBlockedFallback, categoryPages, categoryRequests, pendingCategoryPages, sitemapFiles, sitemapUnchanged, sitemapCollected,
+    } = savedState);
+    for (const [name, target] of Object.entries(stateCollections())) refill(target, savedState[name]);
+
+    // Everything a kept tool feeds besides the dataset record: history rows, sitemap lastmods and graph nodes
+    const restoreTool = (item) => {
+        if (input.trackHistory) {
+            const context = item.pageKind === 'sitemap' || expandedTools.has(item.url) ? null : item;
+            observations.push(observation(item, context, runStartedAt));
+        }
+        if (item.lastmod) sitemapScraped.set(item.url, item.lastmod);
+        if (input.graphExportFormats.length) exportNodes.push(item);
+    };
+
+    // Items written after the last checkpoint are in the dataset but not in the state; never push them twice
+    let recovered = 0;
+    await (await Actor.openDataset()).forEach((item) => {
+        if (!item?.url || item.deltaStatus === 'removed') return;
+        restoreTool(item);
+        if (deltaPrev) deltaItems.push(item);
+        // Held records a flush wrote after the checkpoint was taken
+        const held = outbox.delete(item.url);
+        // The checkpoint's delta counts cover what was written before it
+        if (deltaPrev && (held || !pushedUrls.has(item.url)) && item.deltaStatus in deltaCounts) deltaCounts[item.deltaStatus] += 1;
+        if (pushedUrls.has(item.url)) return;
+        pushedUrls.add(item.url);
+        discovered.add(item.url);
+        pushed += 1;
+        recovered += 1;
+    });
+    for (const record of outbox.values()) restoreTool(record);
+    for (const record of unwrittenUnchanged.values()) {
+        restoreTool(record);
+        deltaItems.push(record);
+    }
+
+    quarantineDataset = await Actor.openDataset(QUARANTINE_DATASET);
+    await forEachRunRow(quarantineDataset, 'scrapedAt', (item) => {
+        quarantinedUrls.add(item.url);
+        if (item.lastmod) sitemapScraped.set(item.url, item.lastmod);
+    });
+    if (reviewsDataset) {
+        await forEachRunRow(reviewsDataset, 'scrapedAt', (review) => {
+            seenReviews.add(`${review.toolUrl}|${reviewKey(review)}`);
+            reviewCounts.set(review.toolUrl, (reviewCounts.get(review.toolUrl) || 0) + 1);
+            reviewsPushed += 1;
+        });
+    }
+    // Sitemap runs only fetch /about/ pages, which list no alternatives
+    if (input.mode !== 'sitemap') {
+        edgesDataset = await Actor.openDataset(EDGES_DATASET);
+        await forEachRunRow(edgesDataset, 'crawledAt', (edge) => {
+            seenEdges.add(edgeKey(edge.sourceUrl, edge.alternativeUrl));
+            if (input.graphExportFormats.length) exportEdges.push(edge);
+            edgesPushed += 1;
+        });
+    }
+    log.info('Resuming from saved crawl state', {
+        savedAt: savedStateRecord.savedAt, pushed, seenPages: seenPages.size, heldItems: outbox.size, recoveredFromDataset: recovered,
+        reviews: reviewsPushed, edges: edgesPushed, quarantined: quarantinedUrls.size,
+    });
+}
+
+// Registered only once the restore is done: a checkpoint taken halfway through it would re-push held records
+// the dataset scan had not reached yet, or overwrite CRAWL_STATE with a half-restored state
+Actor.on('persistState', checkpoint);
+Actor.on('migrating', checkpoint);
+Actor.on('aborting', checkpoint);
 
 // ─── Run ─────────────────────────────────────────────────────────────────────
-await crawler.run(input.startUrls.map((url) => ({
-    url,
-    uniqueKey: `list:${url}`,
-    userData: { label: 'LIST', pageNo: 1, seedStart: true },
-})));
+let seedRequests;
+if (input.mode === 'categories') seedRequests = [{ url: CATEGORY_INDEX_URL, uniqueKey: `category:${CATEGORY_INDEX_URL}`, userData: { label: 'CATEGORY' } }];
+else if (input.mode === 'sitemap') seedRequests = sitemapCollected ? [] : await collectSitemapTools();
+else seedRequests = input.startUrls.map(seedRequest);
+
+if (input.replayDir) {
+    await replaySnapshots(input.replayDir);
+} else if (httpCrawler) {
+    // Both crawlers share the request queue: a run resumed in the browser phase must not hand browser requests to the HTTP crawler.
+    // Escalated listings send their next page back to HTTP mode, so the phases alternate until neither has work left,
+    // each on a fresh crawler with what is left of the request budget.
+    const spent = ({ requestsFinished, requestsFailed }) => requestsFinished + requestsFailed;
+    let httpBudget = maxRequestsPerCrawl;
+    let browserBudget = maxRequestsPerCrawl;
+    let browserRan = false;
+    let resumedInBrowserPhase = browserPhase;
+    let httpRequests = seedRequests;
+    for (let phase = 1; ; phase += 1) {
+        if (!resumedInBrowserPhase) {
+            if (phase > 1) httpCrawler = newHttpCrawler(httpBudget);
+            httpBudget -= spent(await httpCrawler.run(httpRequests));
+        }
+        browserPhase = true;
+        if (browserBacklog.length || resumedInBrowserPhase) {
+            log.info('Starting browser phase', { escalatedPages, queued: browserBacklog.length });
+            if (browserRan) crawler = newBrowserCrawler(browserBudget);
+            browserRan = true;
+            browserBudget -= spent(await crawler.run(browserBacklog.splice(0)));
+        }
+        resumedInBrowserPhase = false;
+        if (!httpBacklog.length) break;
+        // A crawler out of budget would leave requests in the shared queue for the other one
+        if (httpBudget <= 0 || browserBudget <= 0) {
+            log.warning('Request budget spent, listing pages left unvisited', { pages: httpBacklog.length });
+            break;
+        }
+        httpRequests = httpBacklog.splice(0);
+        browserPhase = false;
+        log.info('Returning escalated listings to HTTP mode', { phase: phase + 1, queued: httpRequests.length });
+    }
+} else {
+    await crawler.run(seedRequests);
+}
+
+if (input.mode === 'categories') {
+    const entries = categoryEntries(categories);
+    if (entries.length) await (await Actor.openDataset(CATEGORIES_DATASET)).pushData(entries);
+    await Actor.setValue(CATEGORY_TREE_KEY, { generatedAt: new Date().toISOString(), categories: categoryTree(entries) });
+    log.info('Categories discovered', {
+        categories: entries.length,
+        leaves: entries.filter((c) => c.isLeaf).length,
+        visitedPages: categoryPages,
+        unvisited: entries.filter((c) => c.isLeaf == null).length,
+        seededListings: categorySeeds.length,
+    });
+}
 
-log.info('Run finished', { pushed, discovered: discovered.size, blockedPages: blockedPages.size });
+if (sitemapStore) {
+    await sitemapStore.setValue(SITEMAP_STATE_KEY, nextSitemapState(sitemapPrev, sitemapScraped));
+    log.info('Sitemap state saved', { scraped: sitemapScraped.size, skippedUnchanged: sitemapUnchanged, store: input.sitemapStoreName });
+}
+
+await flushOutbox();
+// The dataset keeps the tags known when each record was written; tools a seed listed later get their final ones here
+const lateTags = new Map([...lateTagged].map((url) => [url, {
+    ...discoveryTags(url),
+    ...(input.aggregateSightings ? appearanceFields(appearances.get(url)) : {}),
+}]));
+if (lateTags.size) await Actor.setValue(SEED_TAGS_KEY, { generatedAt: new Date().toISOString(), tools: Object.fromEntries(lateTags) });
+
+log.info('Run finished', { pushed, quarantined: quarantinedUrls.size, discovered: discovered.size, detailRequests, reviewsPushed, edgesPushed, graphNodes, escalatedPages, blockedPages: blockedPages.size });
+if (input.keywordSeeds.size) {
+    log.info('Keyword results', Object.fromEntries([...input.keywordSeeds].map(([seed, keyword]) => [keyword, seedClaims.get(seed) || 0])));
+}
+// What each seed collected and which ones ran out of budget before their listing did
+const seedSummary = [...seedOpenPages.keys()].map((seed) => ({
+    seed,
+    keyword: input.keywordSeeds.get(seed) ?? null,
+    results: seedClaims.get(seed) || 0,
+    resultsWanted: ownBudget(seed),
+    pages: seedPageCounts.get(seed) || 0,
+    maxPages: seedMaxPages(seed),
+    stoppedBy: truncatedSeeds.get(seed) ?? null,
+}));
+const outOfBudget = seedSummary.filter((s) => s.stoppedBy && s.stoppedBy !== 'page-failed');
+if (seedSummary.length > 1 || input.seedOverrides.size) {
+    log.info('Seed budgets', Object.fromEntries(seedSummary.map((s) => [
+        s.keyword || s.seed,
+        `${s.results}/${s.resultsWanted ?? 'share'} tools, ${s.pages}/${s.maxPages} pages${s.stoppedBy ? `, stopped by ${s.stoppedBy}` : ''}`,
+    ])));
+    if (outOfBudget.length) log.info('Seeds that ran out of budget', Object.fromEntries(outOfBudget.map((s) => [s.keyword || s.seed, s.stoppedBy])));
+}
+if (input.filters) log.info('Filter rejections', { total: Object.values(filterRejections).reduce((a, b) => a + b, 0), ...filterRejections });
+
+// Removed tools per seed; 'unknown' for seeds cut short
+let removedBySeed = null;
+if (deltaPrev) {
+    const completeSeeds = new Set([...seedListings.keys()].filter((seed) => !truncatedSeeds.has(seed)));
+    const { snapshot, removed, seedRemovals } = nextDeltaSnapshot(deltaPrev, { pushedItems: deltaItems, seen: seedListings, completeSeeds });
+    if (removed.length) await Actor.pushData(removed);
+    deltaCounts.removed = removed.length;
+    removedBySeed = seedRemovals;
+    await deltaStore.setValue(DELTA_SNAPSHOT_KEY, snapshot);
+    log.info('Delta finished', {
+        ...deltaCounts,
+        previousRun: deltaPrev.updatedAt,
+        seedsWithUnknownRemovals: seedListings.size - completeSeeds.size,
+        trackedTools: Object.keys(snapshot.items).length,
+    });
+    // Flat, so the log line stays readable with many seeds
+    log.info('Removals by seed', Object.fromEntries(Object.entries(seedRemovals).map(([seed, n]) => [input.keywordSeeds.get(seed) || seed, n])));
+}
+
+if (input.trackHistory && observations.length) {
+    const historyDataset = await Actor.openDataset(input.historyDatasetName);
+    const runUrls = new Set(observations.map((o) => o.url));
+    const series = [];
+    await historyDataset.forEach((obs) => { if (runUrls.has(obs.url)) series.push(obs); });
+    await historyDataset.pushData(observations);
+    const trends = toolTrends([...series, ...observations]);
+    await Actor.setValue(TRENDS_KEY, {
+        generatedAt: new Date().toISOString(),
+        historyDataset: input.historyDatasetName,
+        rising: risingBySeed(trends, RISING_TOP_N),
+        tools: trends,
+    });
+    log.info('History updated', { observations: observations.length, trackedTools: trends.length, withWeekOfHistory: trends.filter((t) => t.growth7d).length });
+}
+
+if (input.graphExportFormats.length) {
+    const graph = buildGraph(exportNodes, exportEdges);
+    for (const format of input.graphExportFormats) {
+        const { key, contentType } = GRAPH_EXPORT_FORMATS[format];
+        await Actor.setValue(key, GRAPH_SERIALIZERS[format](graph), { contentType });
+    }
+    log.info('Graph exported', { formats: input.graphExportFormats, nodes: graph.nodes.size, edges: graph.edges.length });
+}
+
+if (input.outputFormats.length) {
+    // Read back from the dataset so delta `removed` records are included too; late tags are applied here
+    const items = [];
+    await (await Actor.openDataset()).forEach((item) => {
+        items.push(lateTags.has(item.url) && item.deltaStatus !== 'removed' ? { ...item, ...lateTags.get(item.url) } : item);
+    });
+    for (const format of input.outputFormats) {
+        const { key, contentType } = OUTPUT_FORMATS[format];
+        await Actor.setValue(key, await OUTPUT_SERIALIZERS[format](items, { arrayJoin: input.csvArrayJoin }), { contentType });
+    }
+    log.info('Output files written', { formats: input.outputFormats, items: items.length });
+}
+
+const report = buildRunReport({
+    startedAt: runStartedAt,
+    finishedAt: new Date().toISOString(),
+    // With the fields added at write-out, so the fill rates cover the whole record
+    items: reportItems.map((item) => ({
+        ...item,
+        ...discoveryTags(item.url),
+        ...(input.aggregateSightings ? appearanceFields(appearances.get(item.url)) : {}),
+    })),
+    pages: reportPages,
+    recoveries,
+    stats: {
+        pushed, quarantined: quarantinedUrls.size, discovered: discovered.size, detailRequests, reviewsPushed, edgesPushed, graphNodes, escalatedPages,
+        blockedPages: blockedPages.size,
+        filterRejections: input.filters ? filterRejections : null,
+        delta: deltaPrev ? { ...deltaCounts, removedBySeed } : null,
+        seedsOutOfBudget: seedSummary.length > 1 || input.seedOverrides.size ? Object.fromEntries(outOfBudget.map((s) => [s.seed, s.stoppedBy])) : null,
+    },
+});
+await Actor.setValue(RUN_REPORT_KEY, report);
+await Actor.setValue(`${RUN_REPORT_KEY}.html`, toReportHTML(report), { contentType: 'text/html; charset=utf-8' });
+// The run is complete; a resurrected run starts over instead of resuming
+stateClosed = true;
+await stateWrites;
+if (!input.replayDir) await Actor.setValue(CRAWL_STATE_KEY, null);
+
+log.info('Run report written', { durationSecs: report.durationSecs, sparseItems: report.items.sparse, pagesWithMissingItems: report.pages.withMissingItems, recoveries: report.recoveries.total });
 
 if (pushed === 0 && blockedPages.size > 0 && !proxyEnabled) {
     log.error('All requests were blocked. Enable Apify Proxy (RESIDENTIAL) on the platform to avoid blocks.');
 }
 
+const validated = pushed + quarantinedUrls.size;
+const quarantineRate = validated ? quarantinedUrls.size / validated : 0;
+if (input.strictValidation && quarantineRate > input.maxQuarantineRate) {
+    await Actor.fail(`Strict validation: ${quarantinedUrls.size} of ${validated} items (${(quarantineRate * 100).toFixed(1)}%) failed the dataset schema, over the ${(input.maxQuarantineRate * 100).toFixed(1)}% limit. See the "${QUARANTINE_DATASET}" dataset.`);
+}
+
 await Actor.exit();
@@ -0,0 +1,27 @@
+/** Listing positions: each tool's rank on its page and across the listing, and the offset the listing's other pages start from. */
+
+/**
+ * A listing request's offset: how many tools the listing's earlier pages showed. 0 for a first page, and null
+ * (kept through the queue's JSON) once a failed page of unknown size came before it.
+ */
+export const listingOffset = (userData) => (userData?.offset === null ? null : Number(userData?.offset) || 0);
+
+/** `{ url, positionOnPage, position }` for a page's tool URLs in listing order; `position` is null when `offset` is. */
+export const pagePositions = (urls, offset) => urls.map((url, index) => ({
+    url,
+    positionOnPage: index + 1,
+    position: offset == null ? null : offset + index + 1,
+}));
+
+/** `{ offset, pageSize }` for the user data of the page after one at `offset` that listed `pageSize` tools. */
+export const nextPageOffset = (offset, pageSize) => ({ offset: offset == null ? null : offset + pageSize, pageSize });
+
+/**
+ * Offsets for the requests that recover a failed listing page: retries keep its offset, and skipping it moves one
+ * page size on. That size is the previous page's, so it is only known when an earlier page of the listing loaded.
+ */
+export const recoveryOffsets = (userData) => {
+    const offset = listingOffset(userData);
+    const pageSize = Number(userData?.pageSize) || null;
+    return { retry: offset, skip: offset != null && pageSize ? offset + pageSize : null, pageSize };
+};
@@ -0,0 +1,104 @@
+/** End-of-run data-quality report (RUN_REPORT JSON + HTML). */
+import { isSparseListingItem } from './extractors.js';
+
+const present = (v) => (Array.isArray(v) ? v.length > 0 : v != null && v !== '');
+const ratio = (n, total) => (total ? Math.round((n / total) * 1000) / 1000 : null);
+
+// Every field the items carry, in first-seen order; `_source` and `_provenance` are bookkeeping, not data
+const outputFields = (items) => [...new Set(items.flatMap((it) => Object.keys(it)))].filter((field) => !field.startsWith('_'));
+
+/** Share of items with a non-empty value, per output field (every field the items carry unless `fields` is given). */
+export const fillRates = (items, fields = outputFields(items)) => Object.fromEntries(
+    fields.map((field) => [field, ratio(items.filter((it) => present(it[field])).length, items.length)]),
+);
+
+/** Per extractor: how many items it contributed any field to, and how many field values it won. */
+export const sourceStats = (items) => {
+    const stats = {};
+    for (const item of items) {
+        const sources = Object.values(item._provenance || {}).map((p) => p.source);
+        for (const source of new Set(sources)) (stats[source] ||= { items: 0, fields: 0 }).items += 1;
+        for (const source of sources) stats[source].fields += 1;
+    }
+    return stats;
+};
+
+const countBy = (list, key) => list.reduce((acc, x) => ({ ...acc, [x[key]]: (acc[x[key]] || 0) + 1 }), {});
+
+export const buildRunReport = ({ startedAt, finishedAt, items, pages, recoveries, stats }) => {
+    const pageRows = pages.map((p) => ({ ...p, missing: p.expected != null ? Math.max(0, p.expected - p.extracted) : null }));
+    return {
+        startedAt,
+        finishedAt,
+        durationSecs: Math.round((Date.parse(finishedAt) - Date.parse(startedAt)) / 1000),
+        stats,
+        items: {
+            total: items.length,
+            sparse: items.filter((it) => isSparseListingItem(it)).length,
+            fillRates: fillRates(items),
+        },
+        sources: sourceStats(items),
+        pages: {
+            total: pageRows.length,
+            withMissingItems: pageRows.filter((p) => p.missing > 0).length,
+            list: pageRows,
+        },
+        recoveries: {
+            total: recoveries.length,
+            byKind: countBy(recoveries, 'kind'),
+            list: recoveries,
+        },
+    };
+};
+
+// ─── HTML rendering ──────────────────────────────────────────────────────────
+const esc = (v) => String(v ?? '').replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+const pct = (v) => (v == null ? '—' : `${(v * 100).toFixed(1)}%`);
+
+const table = (headers, rows) => [
+    '<table>',
+    `<tr>${headers.map((h) => `<th>${esc(h)}</th>`).join('')}</tr>`,
+    ...rows.map((r) => `<tr>${r.map((c) => `<td>${esc(c)}</td>`).join('')}</tr>`),
+    '</table>',
+].join('\n');
+
+export const toReportHTML = (report) => {
+    const fillRows = Object.entries(report.items.fillRates).map(([field, rate]) => [field, pct(rate)]);
+    const sourceRows = Object.entries(report.sources).map(([source, s]) => [source, s.items, s.fields]);
+    const pageRows = report.pages.list.map((p) => [p.url, p.pageNo, p.expected ?? '—', p.extracted, p.missing ?? '—']);
+    const recoveryRows = report.recoveries.list.map((r) => [r.kind, r.url, r.reason || '', r.queued ?? '']);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AlternativeTo run report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 14px; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Run report</h1>
+<p>${esc(report.startedAt)} → ${esc(report.finishedAt)} (${esc(report.durationSecs)} s)</p>
+<h2>Summary</h2>
+${table(['Metric', 'Value'], [
+        ...Object.entries(report.stats).map(([k, v]) => [k, typeof v === 'object' && v ? JSON.stringify(v) : v]),
+        ['items', report.items.total],
+        ['sparse items', report.items.sparse],
+        ['pages with missing items', report.pages.withMissingItems],
+        ['recovery attempts', report.recoveries.total],
+    ])}
+<h2>Field fill rates</h2>
+${table(['Field', 'Filled'], fillRows)}
+<h2>Extraction sources</h2>
+${table(['Source', 'Items', 'Fields won'], sourceRows)}
+<h2>Listing pages</h2>
+${table(['URL', 'Page', 'Expected', 'Extracted', 'Missing'], pageRows)}
+<h2>Recovery attempts</h2>
+${table(['Kind', 'URL', 'Reason', 'Queued'], recoveryRows)}
+</body>
+</html>
+`;
+};
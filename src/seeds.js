@@ -0,0 +1,57 @@
+/** Start URLs and keyword searches: which seeds a listings run crawls, their own budgets and the tags they give tools. */
+import { DEFAULT_START, normalizeStartUrl, searchUrl, txt } from './extractors.js';
+
+const limitInput = (v, name, max) => {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`Input "${name}" must be a positive integer.`);
+    return Math.min(Math.floor(n), max);
+};
+
+/**
+ * `{ keyword, keywordSeeds, resultsPerKeyword, startUrls, seedOverrides }` from the raw input.
+ * Each of `keywords` adds one search seed (`keywordSeeds` maps its URL to the keyword); the single `keyword` and
+ * then the default category are only fallbacks for an input with no seeds. `seedOverrides` maps a seed URL to its
+ * `{ resultsWanted, maxPages }`: from `{ url, resultsWanted, maxPages }` start URLs, and `results_per_keyword`
+ * for keyword seeds without their own entry.
+ */
+export const resolveSeeds = (raw = {}) => {
+    const keyword = txt(raw.keyword);
+    const keywords = [...new Set((Array.isArray(raw.keywords) ? raw.keywords : []).map(txt).filter(Boolean))];
+    const resultsPerKeyword = limitInput(raw.results_per_keyword, 'results_per_keyword', 5000);
+    const list = [];
+    const seedOverrides = new Map();
+    const add = (s, i) => {
+        if (!s) return;
+        if (typeof s === 'string' && txt(s)) list.push(txt(s));
+        if (typeof s !== 'object' || !txt(s.url)) return;
+        list.push(txt(s.url));
+        const url = normalizeStartUrl(txt(s.url));
+        const override = {
+            resultsWanted: limitInput(s.resultsWanted, `startUrls[${i}].resultsWanted`, 5000),
+            maxPages: limitInput(s.maxPages, `startUrls[${i}].maxPages`, 500),
+        };
+        if (url && (override.resultsWanted || override.maxPages)) seedOverrides.set(url, override);
+    };
+    (Array.isArray(raw.startUrls) ? raw.startUrls : []).forEach(add);
+    if (!list.length && !keywords.length && keyword) keywords.push(keyword);
+    if (!list.length && !keywords.length) list.push(DEFAULT_START);
+    const keywordSeeds = new Map();
+    for (const k of keywords) {
+        const url = normalizeStartUrl(searchUrl(k));
+        if (url && !keywordSeeds.has(url)) keywordSeeds.set(url, k);
+    }
+    if (resultsPerKeyword) {
+        for (const url of keywordSeeds.keys()) if (!seedOverrides.has(url)) seedOverrides.set(url, { resultsWanted: resultsPerKeyword, maxPages: null });
+    }
+    const startUrls = [...new Set([...list.map(normalizeStartUrl).filter(Boolean), ...keywordSeeds.keys()])];
+    if (!startUrls.length) throw new Error('No valid start URLs resolved from input.');
+    return { keyword, keywordSeeds, resultsPerKeyword, startUrls, seedOverrides };
+};
+
+/** The `keywords` and `seedUrls` item fields for the seeds that listed a tool, in the order they found it. */
+export const seedTags = (seeds = [], keywordSeeds = new Map()) => {
+    const seedUrls = [...seeds];
+    const keywords = seedUrls.map((seed) => keywordSeeds.get(seed)).filter(Boolean);
+    return { keywords: keywords.length ? keywords : null, seedUrls: seedUrls.length ? seedUrls : null };
+};
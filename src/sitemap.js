@@ -0,0 +1,66 @@
+/** Sitemap mode: tool pages from AlternativeTo's sitemap index and its child sitemaps, with their `lastmod`. */
+import { gunzipSync } from 'node:zlib';
+import { load } from 'cheerio';
+
+import { BASE_URL, TOOL_URL_RE, toolUrl, txt } from './extractors.js';
+
+export const SITEMAP_INDEX_URL = new URL('sitemap.xml', BASE_URL).href;
+export const SITEMAP_STATE_KEY = 'LASTMOD';
+export const SITEMAP_STATE_VERSION = 1;
+
+const isGzip = (buf) => buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+
+/** Sitemap XML from a response body, gunzipping `.xml.gz` files (servers rarely mark them as encoded). */
+export const decodeSitemap = (body) => {
+    if (body == null) return '';
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    return (isGzip(buf) ? gunzipSync(buf) : buf).toString('utf8');
+};
+
+// Accepts any W3C datetime; entries without a usable one get null
+const isoDate = (value) => {
+    const clean = txt(value);
+    if (!clean) return null;
+    const time = Date.parse(clean);
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/** `{ sitemaps, urls }` entries of `{ loc, lastmod }` from a sitemap index or URL set. */
+export const parseSitemap = (xml) => {
+    const $ = load(xml, { xml: true });
+    const entries = (tag) => $(tag).toArray()
+        .map((el) => ({ loc: txt($(el).children('loc').first().text()), lastmod: isoDate($(el).children('lastmod').first().text()) }))
+        .filter((entry) => entry.loc);
+    return { sitemaps: entries('sitemap'), urls: entries('url') };
+};
+
+/** Tool pages (`TOOL_URL_RE`) among sitemap URL entries, one per tool with its latest `lastmod`. */
+export const sitemapToolEntries = (urls) => {
+    const tools = new Map();
+    for (const { loc, lastmod } of urls) {
+        // Only the tool page itself (its /about/ entry would resolve to the same tool), with the trailing slash listings use
+        const url = TOOL_URL_RE.test(loc) ? toolUrl(loc.replace(/\/?$/, '/')) : null;
+        if (!url) continue;
+        const prev = tools.get(url);
+        if (!prev || (lastmod && (!prev.lastmod || lastmod > prev.lastmod))) tools.set(url, { url, lastmod: lastmod || prev?.lastmod || null });
+    }
+    return [...tools.values()];
+};
+
+export const emptySitemapState = () => ({ version: SITEMAP_STATE_VERSION, updatedAt: null, tools: {} });
+
+/** Accepts whatever the store returned; anything unrecognized starts from an empty state. */
+export const loadSitemapState = (value) => {
+    if (!value || typeof value !== 'object' || value.version !== SITEMAP_STATE_VERSION) return emptySitemapState();
+    return { ...emptySitemapState(), updatedAt: value.updatedAt || null, tools: value.tools && typeof value.tools === 'object' ? value.tools : {} };
+};
+
+/** True when the previous run scraped the tool at or after its current `lastmod`. Tools without one are never skipped. */
+export const unchangedSince = (state, { url, lastmod }) => Boolean(lastmod && state.tools[url] && lastmod <= state.tools[url]);
+
+/** State for the next run: every tool scraped this run, keyed by URL, with the `lastmod` it was scraped at. */
+export const nextSitemapState = (prev, scraped, now = new Date().toISOString()) => ({
+    version: SITEMAP_STATE_VERSION,
+    updatedAt: now,
+    tools: { ...prev.tools, ...Object.fromEntries([...scraped].filter(([, lastmod]) => lastmod)) },
+});
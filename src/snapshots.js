@@ -0,0 +1,52 @@
+/**
+ * Page snapshots for offline replay. A live run saves each page as `<id>` (HTML) plus `<id>-meta` (JSON),
+ * which local storage writes as `<id>.html` and `<id>-meta.json`; replay reads that directory back with
+ * `loadSnapshots()`. The actor does the saving and the replay crawl itself.
+ */
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { load } from 'cheerio';
+
+import { normalizeStartUrl, pageNoFromUrl, parseJson } from './extractors.js';
+
+/** Key-value store key of a page's snapshot; its metadata goes under `<id>-meta`. */
+export const snapshotId = (url) => `page-${createHash('sha1').update(url).digest('hex').slice(0, 16)}`;
+
+/**
+ * One saved page: its URL from the metadata (or, for hand-saved HTML, the canonical link), the captured
+ * JSON payloads and the page number. Null when the page has no URL to replay it under.
+ */
+export const parseSnapshot = (html, meta = {}) => {
+    const $ = load(html);
+    const url = normalizeStartUrl(meta.url || $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content'));
+    if (!url) return null;
+    return {
+        url,
+        html,
+        apiPayloads: Array.isArray(meta.apiPayloads) ? meta.apiPayloads : [],
+        pageNo: Number(meta.pageNo) || pageNoFromUrl(url),
+    };
+};
+
+/** `{ snapshots, skipped }`: the pages in `dir` keyed by URL, and the HTML files that had no URL. */
+export const loadSnapshots = async (dir) => {
+    const files = await readdir(dir);
+    const snapshots = new Map();
+    const skipped = [];
+    for (const file of files.filter((f) => f.toLowerCase().endsWith('.html'))) {
+        const base = file.slice(0, -'.html'.length);
+        const metaFile = [`${base}-meta.json`, `${base}.json`].find((f) => files.includes(f));
+        const meta = (metaFile && parseJson(await readFile(join(dir, metaFile), 'utf8'))) || {};
+        const snapshot = parseSnapshot(await readFile(join(dir, file), 'utf8'), meta);
+        if (snapshot) snapshots.set(snapshot.url, snapshot);
+        else skipped.push(file);
+    }
+    return { snapshots, skipped };
+};
+
+/** Where replay starts: the start URLs that have a snapshot, or every snapshot when none do. */
+export const replaySeeds = (startUrls, snapshots) => {
+    const seeds = startUrls.filter((url) => snapshots.has(url));
+    return seeds.length ? seeds : [...snapshots.keys()];
+};
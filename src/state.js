@@ -0,0 +1,30 @@
+/** Crawl state checkpoints for migrated and resurrected runs. */
+
+export const CRAWL_STATE_KEY = 'CRAWL_STATE';
+export const CRAWL_STATE_VERSION = 1;
+
+// Sets and Maps (nested ones included) become tagged arrays so they survive JSON
+const encode = (value) => {
+    if (value instanceof Set) return { $set: [...value].map(encode) };
+    if (value instanceof Map) return { $map: [...value].map(([k, v]) => [k, encode(v)]) };
+    if (Array.isArray(value)) return value.map(encode);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encode(v)]));
+    return value;
+};
+
+const decode = (value) => {
+    if (Array.isArray(value)) return value.map(decode);
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value.$set)) return new Set(value.$set.map(decode));
+    if (Array.isArray(value.$map)) return new Map(value.$map.map(([k, v]) => [k, decode(v)]));
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]));
+};
+
+/** The record to save: `fields` with every Set and Map encoded. */
+export const packState = (fields, savedAt = new Date().toISOString()) => ({ version: CRAWL_STATE_VERSION, savedAt, fields: encode(fields) });
+
+/** The saved fields with their Sets and Maps back, or null when there is no usable checkpoint. */
+export const unpackState = (value) => {
+    if (!value || typeof value !== 'object' || value.version !== CRAWL_STATE_VERSION || !value.fields) return null;
+    return decode(value.fields);
+};
@@ -0,0 +1,156 @@
+/**
+ * Normalized vocabularies derived from the free-text fields AlternativeTo exposes.
+ * The mapping tables are ordered: the first matching pattern wins, so specific
+ * terms come before the generic ones they contain ("Free Trial" before "Free").
+ */
+
+// ─── Pricing & license ───────────────────────────────────────────────────────
+export const PRICING_MODELS = Object.freeze(['free', 'freemium', 'paid', 'subscription', 'one-time', 'trial']);
+
+// `pricingModel` values that imply paying for the product
+export const PAID_PRICING_MODELS = Object.freeze(['paid', 'subscription', 'one-time', 'trial']);
+
+export const PRICING_MODEL_TABLE = Object.freeze([
+    // "Free Personal" is AlternativeTo's label for free-for-personal-use, paid commercially
+    [/freemium|free\s*personal|free\s*\+\s*paid|in-app\s*purchases?/i, 'freemium'],
+    [/subscription|monthly|yearly|annual|per\s*(?:month|year|user|seat)/i, 'subscription'],
+    [/one[-\s]?time|lifetime|perpetual/i, 'one-time'],
+    [/\btrial\b/i, 'trial'],
+    [/\bpaid\b|\bpremium\b|[$€£]\s*\d/i, 'paid'],
+    [/\bfree\b|\bgratis\b/i, 'free'],
+]);
+
+export const LICENSE_FAMILY_TABLE = Object.freeze([
+    [/\bagpl|affero/i, 'AGPL'],
+    [/\blgpl|lesser\s*general\s*public/i, 'LGPL'],
+    [/\bgpl|general\s*public\s*licen[cs]e/i, 'GPL'],
+    [/\bmit\b/i, 'MIT'],
+    [/apache/i, 'Apache'],
+    [/\bbsd\b/i, 'BSD'],
+    [/\bmpl\b|mozilla\s*public/i, 'MPL'],
+    [/\bepl\b|eclipse\s*public/i, 'EPL'],
+    [/\bcc0\b|unlicense|public\s*domain/i, 'Public Domain'],
+    [/creative\s*commons|\bcc[-\s]by/i, 'Creative Commons'],
+    [/proprietary|closed\s*source|commercial/i, 'Proprietary'],
+]);
+
+const OPEN_SOURCE_FAMILIES = new Set(['AGPL', 'LGPL', 'GPL', 'MIT', 'Apache', 'BSD', 'MPL', 'EPL', 'Public Domain']);
+const OPEN_SOURCE_RE = /open[\s-]*source|\bfoss\b|\bfloss\b|\blibre\b/i;
+
+const lookup = (table, text) => table.find(([re]) => re.test(text))?.[1] ?? null;
+
+/**
+ * `{ pricingModel, isOpenSource, licenseFamily }` from an item's raw `pricing`, `cost` and `license`.
+ * `isOpenSource` is null when the text says neither open source nor proprietary.
+ */
+export const licensingOf = (item) => {
+    const text = [item?.pricing, item?.cost, item?.license].filter(Boolean).join(' | ');
+    const licenseFamily = lookup(LICENSE_FAMILY_TABLE, text);
+    let isOpenSource = null;
+    if (OPEN_SOURCE_RE.test(text) || OPEN_SOURCE_FAMILIES.has(licenseFamily)) isOpenSource = true;
+    else if (licenseFamily === 'Proprietary') isOpenSource = false;
+    return { pricingModel: lookup(PRICING_MODEL_TABLE, text), isOpenSource, licenseFamily };
+};
+
+// ─── Platforms ───────────────────────────────────────────────────────────────
+export const PLATFORMS = Object.freeze([
+    'windows', 'mac', 'linux', 'bsd', 'chrome-os', 'web', 'android', 'ios',
+    'self-hosted', 'browser-extension', 'chat-app', 'game-console',
+]);
+
+// Matched against one platform label at a time; AlternativeTo lists browser add-ons under the browser's name
+export const PLATFORM_ALIAS_TABLE = Object.freeze([
+    [/chrome\s*os|chromebook/i, 'chrome-os'],
+    [/windows\s*(?:phone|mobile)/i, null],
+    [/^(?:microsoft\s+)?windows\b|^win(?:32|64)$/i, 'windows'],
+    [/^(?:apple\s+)?mac(?:\s*os(?:\s*x)?|intosh)?\b|^os\s*x$|^osx$/i, 'mac'],
+    [/linux|ubuntu|debian|fedora|flatpak|snapcraft|appimage/i, 'linux'],
+    [/\bbsd\b/i, 'bsd'],
+    [/^(?:online|web|web[-\s]?(?:based|app)|browser[-\s]?based|saas|cloud)$/i, 'web'],
+    [/android/i, 'android'],
+    [/^(?:ios|ipados|iphone|ipad|ipod)\b/i, 'ios'],
+    [/self[-\s]?hosted|on[-\s]?prem|docker/i, 'self-hosted'],
+    [/extension|add-?on|^(?:google\s+)?chrome$|^(?:mozilla\s+)?firefox$|^(?:microsoft\s+)?edge$|^(?:safari|opera|vivaldi|brave|chromium)$/i, 'browser-extension'],
+    [/^(?:discord|slack|telegram|whatsapp|mattermost|(?:microsoft\s+)?teams)$/i, 'chat-app'],
+    [/xbox|playstation|nintendo|steam\s*deck/i, 'game-console'],
+]);
+
+/** Canonical platform id for one label (a canonical id maps to itself), or null when it has none. */
+export const canonicalPlatform = (label) => {
+    const clean = String(label ?? '').replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    if (PLATFORMS.includes(clean.toLowerCase())) return clean.toLowerCase();
+    return lookup(PLATFORM_ALIAS_TABLE, clean);
+};
+
+/** Unique canonical ids for a list of platform labels; labels without one are left out. */
+export const platformIdsOf = (labels) => [...new Set((labels || []).map(canonicalPlatform).filter(Boolean))];
+
+// ─── Origins ─────────────────────────────────────────────────────────────────
+const REGION_DISPLAY = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// Folded with English rules explicitly, so keys do not depend on the runtime's locale or ICU build
+const nameKey = (s) => String(s ?? '').toLocaleLowerCase('en').normalize('NFD').replace(/\p{M}/gu, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Private-use and grouping codes ICU also names (XK, Kosovo, stays in)
+const NON_COUNTRY_RE = /^(?:AA|Q[M-Z]|X[A-JL-Z]|ZZ|EU|EZ|UN)$/;
+
+// Deprecated codes resolve to their successor: UK → GB, DD → DE
+const canonicalCode = (code) => {
+    try { return Intl.getCanonicalLocales(`und-${code}`)[0].slice(4); } catch { return code; }
+};
+
+/** English display name of a two-letter country code, or null for anything else. */
+export const countryFromCode = (code) => {
+    const clean = String(code ?? '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(clean)) return null;
+    try { return REGION_DISPLAY.of(clean) || clean; } catch { return clean; }
+};
+
+// Display names of every ISO 3166-1 alpha-2 code ICU knows, plus spellings it does not produce.
+// Both the old and new English names of renamed countries are listed, since ICU versions disagree on them.
+const COUNTRY_CODES = new Map(Object.entries({
+    usa: 'US', us: 'US', 'united states of america': 'US', america: 'US',
+    england: 'GB', scotland: 'GB', wales: 'GB', 'northern ireland': 'GB', britain: 'GB', 'great britain': 'GB',
+    'south korea': 'KR', korea: 'KR', 'republic of korea': 'KR', 'north korea': 'KP',
+    'czech republic': 'CZ', turkey: 'TR', turkiye: 'TR', 'russian federation': 'RU',
+    holland: 'NL', 'the netherlands': 'NL', 'hong kong': 'HK', macau: 'MO', macao: 'MO', 'ivory coast': 'CI',
+    uae: 'AE', 'viet nam': 'VN', 'mainland china': 'CN', prc: 'CN',
+}));
+const isCountryCode = (code) => !NON_COUNTRY_RE.test(code) && canonicalCode(code) === code && countryFromCode(code) !== code;
+for (let a = 65; a <= 90; a++) {
+    for (let b = 65; b <= 90; b++) {
+        const code = String.fromCharCode(a, b);
+        if (isCountryCode(code) && !COUNTRY_CODES.has(nameKey(countryFromCode(code)))) COUNTRY_CODES.set(nameKey(countryFromCode(code)), code);
+    }
+}
+
+/** ISO 3166-1 alpha-2 code for a country name or code, or null when it is not recognized. */
+export const countryCode = (value) => {
+    const clean = String(value ?? '').trim();
+    if (/^[A-Za-z]{2}$/.test(clean)) {
+        const code = canonicalCode(clean.toUpperCase());
+        if (isCountryCode(code)) return code;
+    }
+    return COUNTRY_CODES.get(nameKey(clean)) ?? null;
+};
+
+/** `{ code, name }` for a country code, name or existing origin entry; unrecognized names keep `code: null`. */
+export const originOf = (value) => {
+    const raw = value && typeof value === 'object' ? value.code || value.name : value;
+    const clean = String(raw ?? '').replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    const code = countryCode(clean);
+    return code ? { code, name: countryFromCode(code) } : { code: null, name: clean };
+};
+
+/** Unique `{ code, name }` origins, deduplicated by code (or name when there is none). */
+export const originsOf = (values) => {
+    const out = new Map();
+    for (const value of values || []) {
+        const origin = originOf(value);
+        const key = origin?.code || origin?.name.toLocaleLowerCase('en');
+        if (origin) out.set(key, out.get(key) || origin);
+    }
+    return [...out.values()];
+};
@@ -0,0 +1,25 @@
+/**
+ * Item validation against the `fields` JSON Schema of `.actor/dataset_schema.json`.
+ * `push()` runs every item through the validator; failures go to the quarantine dataset.
+ */
+import { readFile } from 'node:fs/promises';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+export const DATASET_SCHEMA_URL = new URL('../.actor/dataset_schema.json', import.meta.url);
+
+export const loadItemSchema = async (url = DATASET_SCHEMA_URL) => JSON.parse(await readFile(url, 'utf8')).fields;
+
+/** Returns `(item) => errors | null`, errors as `{ path, message }` pairs. */
+export const createItemValidator = (schema) => {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    const validate = ajv.compile(schema);
+    return (item) => {
+        if (validate(item)) return null;
+        return validate.errors.map((e) => ({
+            path: e.instancePath || (e.params?.missingProperty ? `/${e.params.missingProperty}` : '/'),
+            message: e.message,
+        }));
+    };
+};
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanItem } from '../src/extractors.js';
+import { appearance, appearanceFields, mergeSighting } from '../src/aggregate.js';
+
+const CATEGORY = 'https://alternativeto.net/category/ai-tools/ai-image-generator/';
+const SEARCH = 'https://alternativeto.net/browse/search/?q=image+generator';
+const KRITA = 'https://alternativeto.net/software/krita/';
+
+describe('appearanceFields', () => {
+    it('collects categories, search queries and the best position', () => {
+        const fields = appearanceFields([
+            appearance(`${CATEGORY}?p=2`, 'category', 27),
+            appearance(SEARCH, 'search', 4),
+            appearance(`${SEARCH}&p=2`, 'search', 31),
+            appearance('https://alternativeto.net/software/gimp/', 'software', 9),
+        ]);
+        assert.deepEqual(fields, { foundInCategories: [CATEGORY], foundInSearches: ['image generator'], bestPosition: 4 });
+    });
+
+    it('is all null without appearances', () => {
+        assert.deepEqual(appearanceFields(), { foundInCategories: null, foundInSearches: null, bestPosition: null });
+    });
+});
+
+describe('mergeSighting', () => {
+    it('keeps the buffered values and context while filling gaps', () => {
+        const record = { ...cleanItem({ url: KRITA, title: 'Krita', likes: 1204, platforms: ['Windows'] }), seedUrl: CATEGORY, position: 3 };
+        delete record._provenance;
+        const merged = mergeSighting(record, cleanItem({ url: KRITA, title: 'krita', likes: 1190, rating: 4.6, platforms: ['Linux'] }));
+        assert.equal(merged.likes, 1204);
+        assert.equal(merged.rating, 4.6);
+        assert.deepEqual(merged.platforms, ['Windows', 'Linux']);
+        assert.deepEqual(merged.platformIds, ['windows', 'linux']);
+        assert.deepEqual([merged.seedUrl, merged.position], [CATEGORY, 3]);
+        assert.equal('_provenance' in merged, false);
+    });
+});
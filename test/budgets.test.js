@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { requestBudget, seedLimits } from '../src/budgets.js';
+
+const seed = (name, { budget = null, claims = 0, finished = false } = {}) => ({ seed: name, budget, claims, finished });
+
+describe('seedLimits', () => {
+    it('gives a single seed the whole run', () => {
+        assert.deepEqual([...seedLimits(100, [seed('a')])], [['a', 100]]);
+    });
+
+    it('splits the run evenly between seeds without their own budget', () => {
+        assert.deepEqual([...seedLimits(100, [seed('a'), seed('b'), seed('c')]).values()], [34, 34, 34]);
+    });
+
+    it('reserves explicit budgets before sharing the rest', () => {
+        const limits = seedLimits(100, [seed('a', { budget: 60 }), seed('b'), seed('c')]);
+        assert.deepEqual([...limits.values()], [60, 20, 20]);
+    });
+
+    it('hands the unused share of a finished seed to the seeds still crawling', () => {
+        const limits = seedLimits(100, [seed('a', { claims: 10, finished: true }), seed('b', { claims: 30 }), seed('c')]);
+        assert.deepEqual([...limits.values()], [10, 45, 45]);
+    });
+
+    it('frees what a finished explicit seed did not use', () => {
+        const limits = seedLimits(100, [seed('a', { budget: 60, claims: 20, finished: true }), seed('b')]);
+        assert.deepEqual([...limits.values()], [60, 80]);
+    });
+
+    it('never shares a negative pool when explicit budgets exceed the run', () => {
+        assert.equal(seedLimits(50, [seed('a', { budget: 80 }), seed('b')]).get('b'), 0);
+    });
+});
+
+describe('requestBudget', () => {
+    const input = {
+        mode: 'listings', startUrls: ['a', 'b'], resultsWanted: 100, maxPages: 20,
+        collectDetails: false, maxDetailPages: 100, collectReviews: false, maxReviewPages: 5,
+        graphDepth: 0, maxGraphNodes: 100, maxCategoryPages: 500, seedCategories: 'none',
+    };
+
+    it('covers every seed\'s pages plus room for recoveries', () => {
+        assert.equal(requestBudget(input), 2 * 20 + 50);
+        assert.equal(requestBudget(input, (url) => (url === 'a' ? 5 : 20)), 5 + 20 + 50);
+    });
+
+    it('adds detail, review and graph pages only when asked for', () => {
+        assert.equal(requestBudget({ ...input, collectDetails: true, maxDetailPages: 30 }), 40 + 30 + 50);
+        assert.equal(requestBudget({ ...input, collectReviews: true }), 40 + 100 * 5 + 50);
+        assert.equal(requestBudget({ ...input, graphDepth: 2, maxGraphNodes: 10 }), 40 + 10 * 20 + 50);
+    });
+
+    it('budgets category and sitemap runs by their own pages, up to the hard ceiling', () => {
+        assert.equal(requestBudget({ ...input, mode: 'categories' }), 500 + 50);
+        assert.equal(requestBudget({ ...input, mode: 'categories', seedCategories: 'leaves' }), 500 * 21 + 50);
+        assert.equal(requestBudget({ ...input, mode: 'sitemap', resultsWanted: 5000 }), 5000 + 50);
+        assert.equal(requestBudget({ ...input, mode: 'categories', maxCategoryPages: 5000, seedCategories: 'leaves' }), 50000);
+    });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import {
+    categoryEntries, categoryPageInfo, categoryRef, categoryTree, extractCategoryLinks, selectCategorySeeds,
+} from '../src/categories.js';
+
+const INDEX = `<main>
+    <a href="/category/ai-tools/">AI Tools 1,204</a>
+    <a href="/category/ai-tools/ai-image-generator/" title="AI Image Generator (312)">AI Image Generator</a>
+    <a href="https://alternativeto.net/category/photos-and-graphics/">Photos &amp; Graphics</a>
+    <a href="/category/ai-tools/ai-image-generator/?sort=likes">AI Image Generator</a>
+    <a href="/software/gimp/">GIMP</a>
+</main>`;
+
+const found = (entries) => new Map(entries.map((c) => [c.url, c]));
+
+describe('categoryRef', () => {
+    it('resolves top-level and subcategory URLs', () => {
+        assert.deepEqual(categoryRef('/category/ai-tools/ai-image-generator'), {
+            slug: 'ai-image-generator',
+            parent: 'ai-tools',
+            parentUrl: 'https://alternativeto.net/category/ai-tools/',
+            url: 'https://alternativeto.net/category/ai-tools/ai-image-generator/',
+        });
+        assert.equal(categoryRef('https://alternativeto.net/category/ai-tools/').parent, null);
+    });
+
+    it('ignores the index and non-category pages', () => {
+        for (const href of ['/category/', '/software/gimp/', 'https://example.com/category/ai-tools/']) assert.equal(categoryRef(href), null, href);
+    });
+});
+
+describe('extractCategoryLinks', () => {
+    it('collects each category once with its name and item count', () => {
+        const links = extractCategoryLinks(load(INDEX), 'https://alternativeto.net/category/');
+        assert.deepEqual(links.map((c) => [c.slug, c.name, c.itemCount]), [
+            ['ai-tools', 'AI Tools', 1204],
+            ['ai-image-generator', 'AI Image Generator', 312],
+            ['photos-and-graphics', 'Photos & Graphics', null],
+        ]);
+    });
+
+    it('skips the page linking to itself', () => {
+        const links = extractCategoryLinks(load(INDEX), 'https://alternativeto.net/category/ai-tools/');
+        assert.ok(!links.some((c) => c.slug === 'ai-tools'));
+    });
+
+    it('reads the heading of a category page', () => {
+        assert.deepEqual(categoryPageInfo(load('<header><h1>AI Image Generator</h1><p>312 apps</p></header>')), { name: 'AI Image Generator', itemCount: 312 });
+    });
+});
+
+describe('category entries', () => {
+    const top = { ...categoryRef('/category/ai-tools/'), name: 'AI Tools', itemCount: 1204, visited: true };
+    const leaf = { ...categoryRef('/category/ai-tools/ai-image-generator/'), name: 'AI Image Generator', itemCount: 312, visited: true };
+    const unvisited = { ...categoryRef('/category/ai-tools/ai-writer/'), name: 'AI Writer', itemCount: null, visited: false };
+    const entries = categoryEntries(found([leaf, unvisited, top]));
+
+    it('marks leaves, parents and unvisited categories', () => {
+        assert.deepEqual(entries.map((c) => [c.slug, c.isLeaf]), [['ai-tools', false], ['ai-image-generator', true], ['ai-writer', null]]);
+    });
+
+    it('nests subcategories under their parent', () => {
+        const [root, ...rest] = categoryTree(entries);
+        assert.equal(rest.length, 0);
+        assert.deepEqual(root.children.map((c) => c.slug), ['ai-image-generator', 'ai-writer']);
+    });
+
+    it('selects leaves or matching categories as listing seeds', () => {
+        assert.deepEqual(selectCategorySeeds(entries, 'leaves'), [leaf.url]);
+        assert.deepEqual(selectCategorySeeds(entries, 'matching', /writer/i), [unvisited.url]);
+        assert.deepEqual(selectCategorySeeds(entries, 'none'), []);
+    });
+});
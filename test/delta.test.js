@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanItem } from '../src/extractors.js';
+import { classifyDelta, deltaRecord, diffRecords, emptyDeltaSnapshot, loadDeltaSnapshot, nextDeltaSnapshot } from '../src/delta.js';
+
+const SEED = 'https://alternativeto.net/category/photos/image-editor/';
+const KRITA = 'https://alternativeto.net/software/krita/';
+const GIMP = 'https://alternativeto.net/software/gimp/';
+const item = (url, fields) => cleanItem({ url, ...fields });
+
+const firstRun = () => nextDeltaSnapshot(emptyDeltaSnapshot(), {
+    pushedItems: [item(KRITA, { title: 'Krita', likes: 1200, platforms: ['Windows', 'Linux'] }), item(GIMP, { title: 'GIMP', likes: 2300 })],
+    seen: new Map([[SEED, new Set([KRITA, GIMP])]]),
+    completeSeeds: new Set([SEED]),
+    now: '2026-01-01T00:00:00.000Z',
+}).snapshot;
+
+describe('diffRecords', () => {
+    it('reports changed fields with their old and new values', () => {
+        assert.deepEqual(diffRecords({ likes: 10, rating: 4.1 }, { likes: 12, rating: 4.1 }), { likes: { from: 10, to: 12 } });
+    });
+
+    it('ignores array order and fields the new item does not carry', () => {
+        assert.equal(diffRecords({ platforms: ['Mac', 'Linux'], description: 'Old' }, { platforms: ['Linux', 'Mac'] }), null);
+    });
+});
+
+describe('classifyDelta', () => {
+    const snapshot = firstRun();
+
+    it('tells new, changed and unchanged tools apart', () => {
+        assert.equal(classifyDelta(snapshot, item('https://alternativeto.net/software/pinta/', { title: 'Pinta' })).deltaStatus, 'new');
+        assert.deepEqual(classifyDelta(snapshot, item(KRITA, { title: 'Krita', likes: 1250 })), {
+            deltaStatus: 'changed',
+            deltaChanges: { likes: { from: 1200, to: 1250 } },
+        });
+        assert.equal(classifyDelta(snapshot, item(GIMP, { title: 'GIMP', likes: 2300 })).deltaStatus, 'unchanged');
+    });
+
+    it('starts over from an unrecognized snapshot', () => {
+        assert.deepEqual(loadDeltaSnapshot({ version: 99, items: { [KRITA]: {} } }).items, {});
+    });
+});
+
+describe('nextDeltaSnapshot', () => {
+    it('emits removed records for tools a complete seed no longer lists', () => {
+        const { snapshot, removed, seedRemovals } = nextDeltaSnapshot(firstRun(), {
+            pushedItems: [item(KRITA, { title: 'Krita', likes: 1250 })],
+            seen: new Map([[SEED, new Set([KRITA])]]),
+            completeSeeds: new Set([SEED]),
+            now: '2026-01-02T00:00:00.000Z',
+        });
+        assert.deepEqual(removed.map((r) => [r.url, r.title, r.deltaStatus, r.seedUrl]), [[GIMP, 'GIMP', 'removed', SEED]]);
+        assert.deepEqual(seedRemovals, { [SEED]: 1 });
+        assert.deepEqual(Object.keys(snapshot.items), [KRITA]);
+        assert.equal(snapshot.items[KRITA].likes, 1250);
+        assert.equal(snapshot.items[KRITA].firstSeenAt, '2026-01-01T00:00:00.000Z');
+    });
+
+    it('keeps the old tool list of a truncated seed and marks its removals unknown', () => {
+        const { snapshot, removed, seedRemovals } = nextDeltaSnapshot(firstRun(), {
+            pushedItems: [],
+            seen: new Map([[SEED, new Set([KRITA])]]),
+            completeSeeds: new Set(),
+        });
+        assert.deepEqual(removed, []);
+        assert.deepEqual(seedRemovals, { [SEED]: 'unknown' });
+        assert.deepEqual(snapshot.seeds[SEED].sort(), [GIMP, KRITA]);
+        assert.deepEqual(deltaRecord(snapshot.items[GIMP]), { title: 'GIMP', likes: 2300 });
+    });
+});
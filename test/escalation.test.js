@@ -0,0 +1,84 @@
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { browserRequest, crawlerFor, httpDetail, httpListing } from '../src/escalation.js';
+
+const CATEGORY_URL = 'https://alternativeto.net/category/ai-tools/ai-image-generator/';
+const ABOUT_URL = 'https://alternativeto.net/software/krita/about/';
+const fixtureHtml = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const BLOCK_PAGE = '<html><head><title>Access denied</title></head><body></body></html>';
+
+describe('httpListing', () => {
+    it('keeps a page whose listed tools all came out complete', () => {
+        const html = fixtureHtml('cards.html');
+        const { escalate, extracted, listingUrls } = httpListing(load(html), html, CATEGORY_URL);
+        assert.equal(escalate, null);
+        assert.equal(extracted.length, 2);
+        assert.equal(listingUrls.size, 2);
+    });
+
+    it('escalates block pages', () => {
+        assert.equal(httpListing(load(BLOCK_PAGE), BLOCK_PAGE, CATEGORY_URL).escalate, 'blocked');
+        const challenge = '<html><body><script src="/cdn-cgi/challenge-platform/cf-chl.js"></script></body></html>';
+        assert.equal(httpListing(load(challenge), challenge, CATEGORY_URL).escalate, 'blocked');
+    });
+
+    it('escalates empty pages and sparse cards', () => {
+        const empty = '<html><body><main></main></body></html>';
+        assert.equal(httpListing(load(empty), empty, CATEGORY_URL).escalate, 'sparse');
+        const bare = '<html><body><article class="app-item-container"><h2><a class="no-link-color" href="/software/krita/">Krita</a></h2></article></body></html>';
+        const verdict = httpListing(load(bare), bare, CATEGORY_URL);
+        assert.equal(verdict.escalate, 'sparse');
+        assert.equal(verdict.sparse, 1);
+    });
+});
+
+describe('httpDetail', () => {
+    it('keeps an about page with the tool\'s title', () => {
+        const html = fixtureHtml('about.html');
+        const { escalate, detail } = httpDetail(load(html), html, ABOUT_URL);
+        assert.equal(escalate, null);
+        assert.equal(detail.title, 'Krita');
+    });
+
+    it('escalates block pages and pages without a title', () => {
+        assert.equal(httpDetail(load(BLOCK_PAGE), BLOCK_PAGE, ABOUT_URL).escalate, 'blocked');
+        const shell = '<html><body><div id="__next"></div></body></html>';
+        assert.equal(httpDetail(load(shell), shell, ABOUT_URL).escalate, 'sparse');
+    });
+});
+
+describe('browserRequest', () => {
+    it('keeps the user data, records the reason and gets its own unique key', () => {
+        const request = { url: CATEGORY_URL, uniqueKey: `list:${CATEGORY_URL}`, userData: { label: 'LIST', pageNo: 1, seed: CATEGORY_URL } };
+        assert.deepEqual(browserRequest(request, 'sparse'), {
+            url: CATEGORY_URL,
+            uniqueKey: `browser:list:${CATEGORY_URL}`,
+            userData: { label: 'LIST', pageNo: 1, seed: CATEGORY_URL, escalated: 'sparse' },
+        });
+    });
+});
+
+describe('crawlerFor', () => {
+    const request = (userData) => ({ url: CATEGORY_URL, userData });
+
+    it('sends the next page of an escalated listing back to the HTTP crawler', () => {
+        const escalated = browserRequest({ url: CATEGORY_URL, uniqueKey: `list:${CATEGORY_URL}`, userData: { label: 'LIST', pageNo: 1 } }, 'sparse');
+        assert.equal(crawlerFor(escalated, { httpMode: true }), 'browser');
+        assert.equal(crawlerFor(request({ label: 'LIST', pageNo: 2 }), { httpMode: true }), 'http');
+        assert.equal(crawlerFor(request({}), { httpMode: true }), 'http');
+        assert.equal(crawlerFor(request({ label: 'CATEGORY' }), { httpMode: true }), 'http');
+    });
+
+    it('keeps listing details and reviews in the browser', () => {
+        assert.equal(crawlerFor(request({ label: 'DETAIL', item: {} }), { httpMode: true }), 'browser');
+        assert.equal(crawlerFor(request({ label: 'DETAIL', sitemap: true }), { httpMode: true }), 'http');
+        assert.equal(crawlerFor(request({ label: 'REVIEWS' }), { httpMode: true }), 'browser');
+    });
+
+    it('sends everything to the browser outside HTTP mode', () => {
+        assert.equal(crawlerFor(request({ label: 'LIST' }), { httpMode: false }), 'browser');
+    });
+});
@@ -0,0 +1,223 @@
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import {
+    cleanItem,
+    extractCards,
+    extractDetailPage,
+    extractFromNextFlight,
+    extractFromPage,
+    extractPrimaryListingUrls,
+    extractReviewsFromPage,
+    fromObjectTree,
+    mergeItem,
+    nextPage,
+    PAGE_KIND,
+    parseJson,
+    parseNextFlightRecordMap,
+    reviewKey,
+} from '../src/extractors.js';
+
+const CATEGORY_URL = 'https://alternativeto.net/category/ai-tools/ai-image-generator/';
+const fixture = (name) => load(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const byUrl = (items) => new Map(items.map((it) => [it.url, it]));
+
+describe('Next.js Flight', () => {
+    const $ = fixture('flight.html');
+
+    it('extracts every app object from the pushed chunks', () => {
+        const items = byUrl(extractFromNextFlight($));
+        assert.deepEqual([...items.keys()], [
+            'https://alternativeto.net/software/krita/',
+            'https://alternativeto.net/software/mypaint/',
+        ]);
+    });
+
+    it('maps app fields onto the item shape', () => {
+        const krita = byUrl(extractFromNextFlight($)).get('https://alternativeto.net/software/krita/');
+        assert.equal(krita.title, 'Krita');
+        assert.equal(krita.likes, 1204);
+        assert.equal(krita.pricing, 'Free');
+        assert.equal(krita.license, 'Open Source');
+        assert.deepEqual(krita.platforms, ['Windows', 'Mac', 'Linux']);
+        assert.deepEqual(krita.origins, [{ code: 'DE', name: 'Germany' }]);
+        assert.equal(krita.developer, 'KDE');
+        assert.equal(krita.bestAlternative, 'GIMP');
+        assert.equal(krita.logoUrl, 'https://d4.alternativeto.net/icons/krita.png');
+    });
+});
+
+describe('Next.js Flight decoder', () => {
+    const $ = fixture('flight-refs.html');
+
+    it('reassembles apps whose fields live in other rows and chunks', () => {
+        const gimp = byUrl(extractFromNextFlight($)).get('https://alternativeto.net/software/gimp/');
+        assert.equal(gimp.description, 'GIMP is a free and open source raster graphics editor. It runs on every desktop platform — Windows, macOS and Linux.');
+        assert.deepEqual(gimp.platforms, ['Windows', 'Linux']);
+        assert.equal(gimp.likes, 2310);
+    });
+
+    it('decodes escaped dollars, $undefined, path references and cycles', () => {
+        const pinta = byUrl(extractFromNextFlight($)).get('https://alternativeto.net/software/pinta/');
+        assert.equal(pinta.title, '$Pinta');
+        assert.equal(pinta.logoUrl, null);
+
+        const records = parseNextFlightRecordMap([[1, '0:{"main":"$2:name","self":"$0"}\n2:{"name":"GIMP"}\n']]);
+        assert.equal(records.get('0').main, 'GIMP');
+        assert.equal(records.get('0').self, records.get('0'));
+    });
+
+    it('measures text rows in UTF-8 bytes', () => {
+        const text = 'naïve — ü';
+        const records = parseNextFlightRecordMap([[1, `7:T${Buffer.byteLength(text).toString(16)},${text}8:"$7"\n`]]);
+        assert.equal(records.get('7'), text);
+        assert.equal(records.get('8'), text);
+    });
+});
+
+describe('__NEXT_DATA__', () => {
+    const $ = fixture('next-data.html');
+    const pageUrl = 'https://alternativeto.net/software/gimp/';
+
+    it('extracts items from the page props tree', () => {
+        const [gimp] = fromObjectTree(parseJson($('script#__NEXT_DATA__').text()), pageUrl, '__NEXT_DATA__');
+        assert.equal(gimp.url, 'https://alternativeto.net/software/gimp/');
+        assert.equal(gimp.rating, 4.4);
+        assert.equal(gimp.likes, 2310);
+        assert.equal(gimp.developer, 'The GIMP Team');
+        assert.deepEqual(gimp.origins, [{ code: 'US', name: 'United States' }]);
+    });
+
+    it('is picked up by extractFromPage', () => {
+        assert.ok(byUrl(extractFromPage($, pageUrl)).has('https://alternativeto.net/software/gimp/'));
+    });
+});
+
+describe('JSON-LD', () => {
+    const $ = fixture('json-ld.html');
+    const pageUrl = 'https://alternativeto.net/software/inkscape/';
+
+    it('extracts SoftwareApplication entries and normalizes /about/ URLs', () => {
+        const json = parseJson($('script[type="application/ld+json"]').text());
+        const [inkscape] = fromObjectTree(json, pageUrl, 'json-ld');
+        assert.equal(inkscape.url, 'https://alternativeto.net/software/inkscape/');
+        assert.equal(inkscape.rating, 4.6);
+        assert.equal(inkscape.category, 'Graphics & Design');
+        assert.deepEqual(inkscape.platforms, ['Windows', 'Mac', 'Linux']);
+        assert.equal(inkscape.developer, 'Inkscape Project');
+    });
+});
+
+describe('HTML cards', () => {
+    const $ = fixture('cards.html');
+
+    it('parses title, description, likes and cost/license headings', () => {
+        const items = byUrl(extractCards($, CATEGORY_URL));
+        const midjourney = items.get('https://alternativeto.net/software/midjourney/');
+        assert.equal(midjourney.title, 'Midjourney');
+        assert.equal(midjourney.likes, 1250);
+        assert.equal(midjourney.pricing, 'Paid');
+        assert.equal(midjourney.license, 'Proprietary');
+        assert.equal(midjourney.cost, 'Paid | Proprietary');
+        assert.deepEqual(midjourney.platforms, ['Online', 'Discord']);
+        assert.equal(items.get('https://alternativeto.net/software/stable-diffusion/').license, 'Open Source');
+    });
+
+    it('lists primary listing URLs in page order', () => {
+        assert.deepEqual([...extractPrimaryListingUrls($, CATEGORY_URL)], [
+            'https://alternativeto.net/software/midjourney/',
+            'https://alternativeto.net/software/stable-diffusion/',
+        ]);
+    });
+
+    it('follows the rel=next link', () => {
+        assert.equal(nextPage($, CATEGORY_URL, PAGE_KIND.CATEGORY), `${CATEGORY_URL}?p=2`);
+    });
+});
+
+describe('About pages', () => {
+    const pageUrl = 'https://alternativeto.net/software/krita/about/';
+
+    it('extracts the description, features, website, screenshots and company info', () => {
+        const krita = extractDetailPage(fixture('about.html'), pageUrl);
+        assert.equal(krita.url, 'https://alternativeto.net/software/krita/');
+        assert.equal(krita.title, 'Krita');
+        assert.equal(krita.description, 'Krita is a professional free and open source painting program. It is made by artists who want affordable art tools for everyone.');
+        assert.deepEqual(krita.features, ['Layers', 'Brush engines', 'Animation']);
+        assert.equal(krita.website, 'https://krita.org/');
+        assert.deepEqual(krita.images, [
+            'https://d4.alternativeto.net/screenshots/krita-1.jpg',
+            'https://alternativeto.net/screenshots/krita-2.jpg',
+        ]);
+        assert.equal(krita.developer, 'KDE');
+        assert.deepEqual(krita.origins.map((o) => o.code), ['NL']);
+    });
+
+    it('falls back to the meta description and leaves missing sections empty', () => {
+        const $ = load('<html><head><meta property="og:description" content="A painting program."></head><body><main><h1>Krita</h1></main></body></html>');
+        const krita = extractDetailPage($, pageUrl);
+        assert.equal(krita.title, 'Krita');
+        assert.equal(krita.description, 'A painting program.');
+        assert.equal(krita.features, null);
+        assert.equal(krita.website, null);
+        assert.equal(krita.images, null);
+        assert.equal(krita.developer, null);
+    });
+
+    it('returns null for pages outside a tool', () => {
+        assert.equal(extractDetailPage(load('<h1>Search</h1>'), 'https://alternativeto.net/browse/search/?q=paint'), null);
+    });
+});
+
+describe('Reviews', () => {
+    const pageUrl = 'https://alternativeto.net/software/krita/reviews/';
+    const byAuthor = (reviews) => new Map(reviews.map((r) => [r.author, r]));
+
+    it('keeps the same text from different authors apart and merges one review across sources', () => {
+        const reviews = extractReviewsFromPage(fixture('reviews.html'), pageUrl);
+        assert.deepEqual(reviews.map((r) => r.author).sort(), ['anna', 'ben', 'carla']);
+        const anna = byAuthor(reviews).get('anna');
+        assert.equal(anna.toolUrl, 'https://alternativeto.net/software/krita/');
+        assert.equal(anna.body, 'Great app!');
+        assert.equal(anna.rating, 5);
+        assert.equal(anna.title, 'Best painting tool');
+        assert.equal(anna.upvotes, 12);
+        assert.equal(byAuthor(reviews).get('ben').rating, 4);
+    });
+
+    it('gives a review repeated on the next page the same key, and no other', () => {
+        const keys = new Set(extractReviewsFromPage(fixture('reviews.html'), pageUrl).map(reviewKey));
+        const repeats = extractReviewsFromPage(fixture('reviews-p2.html'), `${pageUrl}?p=2`).filter((r) => keys.has(reviewKey(r)));
+        assert.deepEqual(repeats.map((r) => r.author), ['carla']);
+    });
+});
+
+describe('cleanItem / mergeItem', () => {
+    it('rejects records without a tool URL', () => {
+        assert.equal(cleanItem({ title: 'x', url: 'https://example.com/' }), null);
+    });
+
+    it('keeps the first scalar and the longer description', () => {
+        const a = cleanItem({ url: 'https://alternativeto.net/software/a/', title: 'A', description: 'Short', likes: 1 });
+        const b = cleanItem({ url: 'https://alternativeto.net/software/a/', title: 'B', description: 'A much longer text', likes: 2 });
+        const merged = mergeItem(a, b);
+        assert.equal(merged.title, 'A');
+        assert.equal(merged.likes, 1);
+        assert.equal(merged.description, 'A much longer text');
+    });
+
+    it('records the winning source and conflicting values per field', () => {
+        const url = 'https://alternativeto.net/software/a/';
+        const flight = cleanItem({ url, title: 'A', rating: 4.5, description: 'Short', platforms: ['Linux'], _source: 'next-flight' });
+        const ld = cleanItem({ url, title: 'a', rating: 4.2, description: 'A much longer text', _source: 'json-ld' });
+        const html = cleanItem({ url, rating: 3.9, platforms: ['Mac'], _source: 'html' });
+        const { _provenance: prov } = mergeItem(mergeItem(flight, ld), html);
+        assert.deepEqual(prov.title, { source: 'next-flight' });
+        assert.deepEqual(prov.rating, { source: 'next-flight', conflicts: [{ source: 'json-ld', value: 4.2 }, { source: 'html', value: 3.9 }] });
+        assert.deepEqual(prov.description, { source: 'json-ld', conflicts: [{ source: 'next-flight', value: 'Short' }] });
+        assert.equal(prov.platforms.source, 'next-flight');
+        assert.equal(cleanItem(mergeItem(flight, ld))._provenance.rating.conflicts.length, 1);
+    });
+});
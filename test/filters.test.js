@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanItem } from '../src/extractors.js';
+import { filterRejection, licenseKindsOf, normalizeFilters, pricingModelsOf } from '../src/filters.js';
+
+const item = (fields) => cleanItem({ url: 'https://alternativeto.net/software/krita/', ...fields });
+
+describe('normalizeFilters', () => {
+    it('returns null when no filter is set', () => {
+        assert.equal(normalizeFilters({ keyword: 'x', filterPlatforms: [] }), null);
+    });
+
+    it('maps two-letter origin codes to country names', () => {
+        assert.deepEqual(normalizeFilters({ filterOrigins: ['DE', 'France'] }).origins, [{ code: 'DE', name: 'Germany' }, { code: 'FR', name: 'France' }]);
+    });
+
+    it('rejects unknown pricing and license values', () => {
+        assert.throws(() => normalizeFilters({ filterPricing: ['cheap'] }), /filterPricing/);
+        assert.throws(() => normalizeFilters({ filterLicense: ['shareware'] }), /filterLicense/);
+        assert.throws(() => normalizeFilters({ min_rating: -1 }), /min_rating/);
+    });
+});
+
+describe('pricing and license classification', () => {
+    it('tells freemium apart from free', () => {
+        assert.deepEqual([...pricingModelsOf(item({ pricing: 'Freemium' }))], ['freemium']);
+        assert.deepEqual([...pricingModelsOf(item({ cost: 'Free | Open Source' }))], ['free']);
+        assert.deepEqual([...pricingModelsOf(item({ cost: 'Paid | Proprietary' }))], ['paid']);
+    });
+
+    it('recognizes license families as open source', () => {
+        assert.deepEqual([...licenseKindsOf(item({ license: 'GPL-3.0' }))], ['open source']);
+        assert.deepEqual([...licenseKindsOf(item({ license: 'Proprietary' }))], ['proprietary']);
+    });
+});
+
+describe('filterRejection', () => {
+    const krita = item({
+        title: 'Krita',
+        description: 'Free painting program for artists',
+        cost: 'Free | Open Source',
+        platforms: ['Windows', 'Mac', 'Linux'],
+        origins: ['Germany'],
+        rating: 4.6,
+        likes: 1200,
+    });
+
+    it('passes items that satisfy every filter', () => {
+        const filters = normalizeFilters({
+            filterPricing: ['free'],
+            filterLicense: ['open source'],
+            filterPlatforms: ['windows', 'linux'],
+            filterOrigins: ['DE'],
+            min_rating: 4,
+            min_likes: 1000,
+            includeKeywords: ['painting'],
+            excludeKeywords: ['crypto'],
+        });
+        assert.equal(filterRejection(krita, filters), null);
+    });
+
+    it('names the first failing filter', () => {
+        assert.equal(filterRejection(krita, normalizeFilters({ filterPricing: ['paid'] })), 'pricing');
+        assert.equal(filterRejection(krita, normalizeFilters({ filterPlatforms: ['android'] })), 'platforms');
+        assert.equal(filterRejection(krita, normalizeFilters({ min_likes: 5000 })), 'minLikes');
+        assert.equal(filterRejection(krita, normalizeFilters({ excludeKeywords: ['artists'] })), 'excludeKeywords');
+    });
+
+    it('matches canonical platforms through their aliases', () => {
+        const midjourney = item({ title: 'Midjourney', platforms: ['Online', 'Discord'], origins: ['United States'] });
+        assert.equal(filterRejection(midjourney, normalizeFilters({ filterPlatforms: ['web', 'chat-app'], filterOrigins: ['us'] })), null);
+        assert.equal(filterRejection(midjourney, normalizeFilters({ filterPlatforms: ['ios'] })), 'platforms');
+    });
+
+    it('rejects items missing the filtered field', () => {
+        assert.equal(filterRejection(item({ title: 'X' }), normalizeFilters({ min_rating: 1 })), 'minRating');
+        assert.equal(filterRejection(item({ title: 'X' }), normalizeFilters({ filterLicense: ['proprietary'] })), 'license');
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import initSqlJs from 'sql.js';
+
+import { cleanItem } from '../src/extractors.js';
+import { toCSV, toNDJSON, toSQLite, toXLSX } from '../src/formats.js';
+
+const items = [
+    cleanItem({ url: 'https://alternativeto.net/software/krita/', title: 'Krita', description: 'Paint, draw, "sketch"', likes: 1204, platforms: ['Windows', 'Linux'], origins: ['DE'] }),
+    cleanItem({ url: 'https://alternativeto.net/software/gimp/', title: 'GIMP', rating: 4.4, platforms: ['Linux', 'Mac'] }),
+].map((item, i) => (i === 0 ? { ...item, deltaStatus: 'changed', deltaChanges: { likes: { from: 1180, to: 1204 } } } : item));
+
+describe('CSV / NDJSON', () => {
+    it('flattens arrays with the configured separator and quotes where needed', () => {
+        const [header, krita] = toCSV(items, { arrayJoin: ';' }).split('\r\n');
+        const columns = header.split(',');
+        assert.deepEqual(columns.slice(0, 3), ['title', 'description', 'category']);
+        assert.ok(columns.indexOf('deltaStatus') > columns.indexOf('url'));
+        assert.ok(krita.includes('"Paint, draw, ""sketch"""'));
+        assert.ok(krita.includes(',Windows;Linux,windows;linux,'));
+        assert.ok(krita.includes(',Germany (DE),'));
+        assert.ok(krita.includes('"{""likes"":{""from"":1180,""to"":1204}}"'));
+    });
+
+    it('writes one unflattened item per line', () => {
+        const lines = toNDJSON(items).trimEnd().split('\n');
+        assert.equal(lines.length, 2);
+        assert.deepEqual(JSON.parse(lines[1]).platforms, ['Linux', 'Mac']);
+    });
+});
+
+describe('XLSX', () => {
+    it('writes a Tools sheet with a header row', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXLSX(items));
+        const sheet = workbook.getWorksheet('Tools');
+        assert.equal(sheet.rowCount, 3);
+        assert.equal(sheet.getRow(1).getCell(1).value, 'title');
+        assert.equal(sheet.getRow(3).getCell(1).value, 'GIMP');
+    });
+});
+
+describe('SQLite', () => {
+    it('normalizes platforms into a link table', async () => {
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(await toSQLite(items));
+        const [{ values }] = db.exec(`
+            SELECT t.title, p.name FROM tool_platforms tp
+            JOIN tools t ON t.id = tp.tool_id JOIN platforms p ON p.id = tp.platform_id
+            ORDER BY t.title, p.name`);
+        assert.deepEqual(values, [['GIMP', 'Linux'], ['GIMP', 'Mac'], ['Krita', 'Linux'], ['Krita', 'Windows']]);
+        assert.deepEqual(db.exec('SELECT COUNT(*) FROM platforms')[0].values, [[3]]);
+        const [extra] = db.exec("SELECT extra FROM tools WHERE title = 'Krita'")[0].values[0];
+        assert.equal(JSON.parse(extra).deltaStatus, 'changed');
+        db.close();
+    });
+
+    it('keys platforms and origins by their canonical ids', async () => {
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(await toSQLite(items));
+        assert.deepEqual(db.exec("SELECT canonical FROM platforms WHERE name = 'Mac'")[0].values, [['mac']]);
+        const [{ values }] = db.exec('SELECT t.title, o.country_code, o.country_name FROM tool_origins o JOIN tools t ON t.id = o.tool_id');
+        assert.deepEqual(values, [['Krita', 'DE', 'Germany']]);
+        db.close();
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { GRAPH_SERIALIZERS, alternativeEdges, buildGraph, edgeKey, graphExpansions, toCytoscape, toGEXF, toGraphML } from '../src/graph.js';
+
+const GIMP = 'https://alternativeto.net/software/gimp/';
+const KRITA = 'https://alternativeto.net/software/krita/';
+const PINTA = 'https://alternativeto.net/software/pinta/';
+
+const items = [
+    { url: GIMP, title: 'GIMP', likes: 2310, platforms: ['Windows', 'Linux'], origins: [{ code: 'US', name: 'United States' }], description: '' },
+    { url: KRITA, title: 'Krita & <Friends> "Paint" \'Studio\'', rating: 4.6 },
+];
+const edges = [
+    { sourceUrl: GIMP, alternativeUrl: KRITA, rank: 1, pageNo: 1, likes: 1204, crawledAt: '2026-10-18T00:00:00.000Z' },
+    { sourceUrl: GIMP, alternativeUrl: PINTA, rank: 2, pageNo: 1, likes: null, crawledAt: '2026-10-18T00:00:00.000Z' },
+];
+const xml = (doc) => load(doc, { xml: true });
+
+describe('graphExpansions', () => {
+    const budget = { depth: 0, maxDepth: 2, nodes: 0, maxNodes: 10 };
+
+    it('expands unvisited alternatives below the depth limit', () => {
+        assert.deepEqual(graphExpansions([GIMP, KRITA, PINTA], { ...budget, visited: new Set([KRITA]) }), { urls: [GIMP, PINTA], truncated: false });
+        assert.deepEqual(graphExpansions([GIMP], { ...budget, depth: 2 }), { urls: [], truncated: false });
+    });
+
+    it('skips pages already queued, such as a start URL not crawled yet', () => {
+        const expansions = graphExpansions([GIMP, KRITA, PINTA], { ...budget, nodes: 8, queued: new Set([GIMP]) });
+        assert.deepEqual(expansions, { urls: [KRITA, PINTA], truncated: false });
+    });
+
+    it('stops at the node budget and reports the cut', () => {
+        assert.deepEqual(graphExpansions([GIMP, KRITA, PINTA], { ...budget, nodes: 8 }), { urls: [GIMP, KRITA], truncated: true });
+        assert.deepEqual(graphExpansions([GIMP, KRITA], { ...budget, nodes: 8 }), { urls: [GIMP, KRITA], truncated: false });
+    });
+});
+
+describe('alternativeEdges', () => {
+    const crawledAt = '2026-10-18T00:00:00.000Z';
+
+    it('ranks alternatives across pages and takes likes from the listed items', () => {
+        const page2 = alternativeEdges(GIMP, [KRITA, PINTA], { items: [{ url: KRITA, likes: 1204 }], pageNo: 2, offset: 20, crawledAt });
+        assert.deepEqual(page2, [
+            { sourceUrl: GIMP, alternativeUrl: KRITA, rank: 21, pageNo: 2, likes: 1204, crawledAt },
+            { sourceUrl: GIMP, alternativeUrl: PINTA, rank: 22, pageNo: 2, likes: null, crawledAt },
+        ]);
+    });
+
+    it('leaves ranks unknown after a failed page of unknown size', () => {
+        const edges = alternativeEdges(GIMP, [KRITA], { pageNo: 3, offset: null, crawledAt });
+        assert.equal(edges[0].rank, null);
+    });
+
+    it('skips the source itself and pairs already written', () => {
+        const seen = new Set([edgeKey(GIMP, KRITA)]);
+        const edges = alternativeEdges(GIMP, [GIMP, KRITA, PINTA], { pageNo: 1, seen, crawledAt });
+        assert.deepEqual(edges.map((e) => [e.alternativeUrl, e.rank]), [[PINTA, 3]]);
+        assert.ok(seen.has(edgeKey(GIMP, PINTA)));
+    });
+});
+
+describe('buildGraph', () => {
+    it('flattens list fields and adds bare nodes for edge-only tools', () => {
+        const { nodes } = buildGraph(items, edges);
+        assert.deepEqual([...nodes.keys()], [GIMP, KRITA, PINTA]);
+        assert.deepEqual(nodes.get(GIMP), { title: 'GIMP', likes: 2310, platforms: 'Windows | Linux', origins: 'US' });
+        assert.deepEqual(nodes.get(PINTA), {});
+    });
+});
+
+describe('toGraphML', () => {
+    const $ = xml(toGraphML(buildGraph(items, edges)));
+
+    it('writes nodes, edges and their attributes', () => {
+        assert.equal($('node').length, 3);
+        assert.equal($('edge').length, 2);
+        assert.equal($(`edge[target="${KRITA}"] data[key="e_rank"]`).text(), '1');
+        assert.equal($(`edge[target="${PINTA}"] data[key="e_likes"]`).length, 0);
+    });
+
+    it('escapes names with ampersands, angle brackets and quotes', () => {
+        assert.equal($(`node[id="${KRITA}"] data[key="n_title"]`).text(), items[1].title);
+        assert.match(toGraphML(buildGraph(items, [])), /Krita &amp; &lt;Friends&gt; &quot;Paint&quot; &apos;Studio&apos;/);
+    });
+});
+
+describe('toGEXF', () => {
+    const $ = xml(toGEXF(buildGraph(items, edges)));
+
+    it('labels nodes with their title and falls back to the URL', () => {
+        assert.equal($(`node[id="${KRITA}"]`).attr('label'), items[1].title);
+        assert.equal($(`node[id="${PINTA}"]`).attr('label'), PINTA);
+    });
+
+    it('refers to attributes by their declared id', () => {
+        const likesId = $('attributes[class="node"] attribute[title="likes"]').attr('id');
+        assert.equal($(`node[id="${GIMP}"] attvalue[for="${likesId}"]`).attr('value'), '2310');
+    });
+});
+
+describe('toCytoscape', () => {
+    it('keeps raw values and drops empty edge fields', () => {
+        const { elements } = toCytoscape(buildGraph(items, edges));
+        assert.equal(elements.nodes.find((n) => n.data.id === KRITA).data.label, items[1].title);
+        assert.deepEqual(elements.edges[1].data, { id: 'e1', source: GIMP, target: PINTA, rank: 2, pageNo: 1, crawledAt: '2026-10-18T00:00:00.000Z' });
+        assert.deepEqual(JSON.parse(GRAPH_SERIALIZERS.cytoscape(buildGraph(items, edges))), { elements });
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanItem } from '../src/extractors.js';
+import { growthOver, observation, risingBySeed, toolTrends } from '../src/history.js';
+
+const SEED = 'https://alternativeto.net/category/photos/image-editor/';
+const KRITA = 'https://alternativeto.net/software/krita/';
+const GIMP = 'https://alternativeto.net/software/gimp/';
+const NOW = Date.parse('2026-03-31T00:00:00.000Z');
+const daysAgo = (d) => new Date(NOW - d * 24 * 60 * 60 * 1000).toISOString();
+const obs = (url, d, likes, position = null) => ({ url, title: null, seedUrl: SEED, observedAt: daysAgo(d), likes, rating: 4, position });
+
+describe('observation', () => {
+    it('records likes, rating and listing position from cleanItem output', () => {
+        const item = cleanItem({ url: KRITA, title: 'Krita', likes: '1,204', rating: '4.6' });
+        assert.deepEqual(observation(item, { seedUrl: SEED, position: 3 }, daysAgo(0)), {
+            url: KRITA, title: 'Krita', seedUrl: SEED, observedAt: daysAgo(0), likes: 1204, rating: 4.6, position: 3,
+        });
+    });
+});
+
+describe('growthOver', () => {
+    it('compares against the latest observation at least that old', () => {
+        const series = [obs(KRITA, 40, 900, 9), obs(KRITA, 8, 1000, 6), obs(KRITA, 2, 1090, 5), obs(KRITA, 0, 1100, 4)];
+        assert.deepEqual(growthOver(series, 7, NOW), { since: daysAgo(8), likes: 100, likesPct: 10, rating: 0, position: 2 });
+        assert.equal(growthOver(series, 30, NOW).likes, 200);
+    });
+
+    it('is null until the series covers the window', () => {
+        assert.equal(growthOver([obs(KRITA, 3, 1000), obs(KRITA, 0, 1100)], 7, NOW), null);
+    });
+});
+
+describe('toolTrends / risingBySeed', () => {
+    const trends = toolTrends([
+        obs(GIMP, 0, 2400), obs(KRITA, 7, 1000), obs(GIMP, 7, 2380), obs(KRITA, 0, 1100),
+        obs('https://alternativeto.net/software/pinta/', 0, 50),
+    ], NOW);
+
+    it('sorts each series by time before measuring growth', () => {
+        const gimp = trends.find((t) => t.url === GIMP);
+        assert.equal(gimp.observations, 2);
+        assert.equal(gimp.likes, 2400);
+        assert.equal(gimp.growth7d.likes, 20);
+    });
+
+    it('ranks tools with a week of history by likes gained', () => {
+        assert.deepEqual(risingBySeed(trends, 10)[SEED].map((t) => t.url), [KRITA, GIMP]);
+        assert.deepEqual(risingBySeed(trends, 1)[SEED].map((t) => t.url), [KRITA]);
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { listingOffset, nextPageOffset, pagePositions, recoveryOffsets } from '../src/positions.js';
+
+const GIMP = 'https://alternativeto.net/software/gimp/';
+const KRITA = 'https://alternativeto.net/software/krita/';
+
+describe('listingOffset', () => {
+    it('starts a first page at 0 and keeps an unknown offset unknown', () => {
+        assert.equal(listingOffset({ pageNo: 1 }), 0);
+        assert.equal(listingOffset(undefined), 0);
+        assert.equal(listingOffset({ offset: '20' }), 20);
+        assert.equal(listingOffset(JSON.parse(JSON.stringify({ offset: null }))), null);
+    });
+});
+
+describe('pagePositions', () => {
+    it('ranks page 2 after the tools of page 1', () => {
+        const { offset } = nextPageOffset(0, 20);
+        assert.deepEqual(pagePositions([GIMP, KRITA], offset), [
+            { url: GIMP, positionOnPage: 1, position: 21 },
+            { url: KRITA, positionOnPage: 2, position: 22 },
+        ]);
+    });
+
+    it('leaves positions unknown after a failed page of unknown size', () => {
+        assert.deepEqual(pagePositions([GIMP], null), [{ url: GIMP, positionOnPage: 1, position: null }]);
+        assert.deepEqual(nextPageOffset(null, 20), { offset: null, pageSize: 20 });
+    });
+});
+
+describe('recoveryOffsets', () => {
+    it('retries at the failed page\'s offset and skips one page size on', () => {
+        assert.deepEqual(recoveryOffsets({ offset: 20, pageSize: 20 }), { retry: 20, skip: 40, pageSize: 20 });
+    });
+
+    it('cannot place the page after a failed one without a known page size', () => {
+        assert.deepEqual(recoveryOffsets({ pageNo: 1 }), { retry: 0, skip: null, pageSize: null });
+        assert.deepEqual(recoveryOffsets({ offset: null, pageSize: 20 }), { retry: null, skip: null, pageSize: 20 });
+    });
+});
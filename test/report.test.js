@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanItem, mergeItem } from '../src/extractors.js';
+import { buildRunReport, fillRates, sourceStats, toReportHTML } from '../src/report.js';
+
+const url = (slug) => `https://alternativeto.net/software/${slug}/`;
+const items = [
+    mergeItem(
+        cleanItem({ url: url('krita'), title: 'Krita', description: 'Digital painting for artists', likes: 1200, platforms: ['Linux'], _source: 'next-flight' }),
+        cleanItem({ url: url('krita'), rating: 4.6, _source: 'json-ld' }),
+    ),
+    cleanItem({ url: url('pinta'), title: 'Pinta', _source: 'html' }),
+];
+
+describe('run report', () => {
+    it('computes fill rates per output field', () => {
+        const rates = fillRates(items);
+        assert.equal(rates.title, 1);
+        assert.equal(rates.rating, 0.5);
+        assert.equal(rates.website, 0);
+        assert.equal(rates.pricingModel, 0);
+        assert.equal(rates.platformIds, 0.5);
+        assert.equal(rates.url, 1);
+        assert.ok(!('_source' in rates) && !('_provenance' in rates));
+    });
+
+    it('covers discovery fields the items carry', () => {
+        const found = [{ ...items[0], seedUrl: 'https://alternativeto.net/category/x/', position: 3, keywords: null }, items[1]];
+        const rates = fillRates(found);
+        assert.equal(rates.seedUrl, 0.5);
+        assert.equal(rates.position, 0.5);
+        assert.equal(rates.keywords, 0);
+    });
+
+    it('counts the items and fields each extractor contributed', () => {
+        assert.deepEqual(sourceStats(items), {
+            'next-flight': { items: 1, fields: 4 },
+            'json-ld': { items: 1, fields: 1 },
+            html: { items: 1, fields: 1 },
+        });
+    });
+
+    it('summarizes pages, sparse items, recoveries and duration', () => {
+        const report = buildRunReport({
+            startedAt: '2026-01-01T00:00:00.000Z',
+            finishedAt: '2026-01-01T00:02:05.000Z',
+            items,
+            pages: [{ url: 'https://alternativeto.net/category/x/', pageNo: 1, expected: 20, extracted: 18 }],
+            recoveries: [{ kind: 'pagination', url: 'https://alternativeto.net/category/x/?p=2', reason: 'timeout', queued: 2 }],
+            stats: { pushed: 2 },
+        });
+        assert.equal(report.durationSecs, 125);
+        assert.equal(report.items.sparse, 1);
+        assert.equal(report.pages.list[0].missing, 2);
+        assert.equal(report.pages.withMissingItems, 1);
+        assert.deepEqual(report.recoveries.byKind, { pagination: 1 });
+        assert.match(toReportHTML(report), /<td>next-flight<\/td><td>1<\/td><td>4<\/td>/);
+    });
+});
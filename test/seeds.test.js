@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_START, searchUrl } from '../src/extractors.js';
+import { resolveSeeds, seedTags } from '../src/seeds.js';
+
+const CATEGORY = 'https://alternativeto.net/category/photos-and-graphics/image-editor/';
+const IMAGE = searchUrl('image');
+const VIDEO = searchUrl('video');
+
+describe('resolveSeeds', () => {
+    it('adds one search seed per keyword, after the start URLs and without duplicates', () => {
+        const { keywordSeeds, startUrls } = resolveSeeds({ startUrls: [{ url: CATEGORY }], keywords: ['image', ' image ', 'video', ''] });
+        assert.deepEqual([...keywordSeeds], [[IMAGE, 'image'], [VIDEO, 'video']]);
+        assert.deepEqual(startUrls, [CATEGORY, IMAGE, VIDEO]);
+    });
+
+    it('falls back to `keyword`, then the default category, only when nothing else is given', () => {
+        assert.deepEqual(resolveSeeds({ keyword: 'image' }).startUrls, [IMAGE]);
+        assert.deepEqual(resolveSeeds({ keyword: 'image', keywords: ['video'] }).startUrls, [VIDEO]);
+        assert.deepEqual(resolveSeeds({ keyword: 'image', startUrls: [CATEGORY] }).startUrls, [CATEGORY]);
+        assert.deepEqual(resolveSeeds({}).startUrls, [DEFAULT_START]);
+    });
+
+    it('gives keyword seeds results_per_keyword unless a start URL sets their budget', () => {
+        const { seedOverrides } = resolveSeeds({
+            startUrls: [{ url: CATEGORY, maxPages: 3 }, { url: IMAGE, resultsWanted: 40 }],
+            keywords: ['image', 'video'],
+            results_per_keyword: 10,
+        });
+        assert.deepEqual([...seedOverrides], [
+            [CATEGORY, { resultsWanted: null, maxPages: 3 }],
+            [IMAGE, { resultsWanted: 40, maxPages: null }],
+            [VIDEO, { resultsWanted: 10, maxPages: null }],
+        ]);
+    });
+
+    it('rejects bad budgets and inputs without a usable URL', () => {
+        assert.throws(() => resolveSeeds({ keywords: ['image'], results_per_keyword: -1 }), /results_per_keyword/);
+        assert.throws(() => resolveSeeds({ startUrls: [{ url: CATEGORY, maxPages: 'x' }] }), /startUrls\[0\]\.maxPages/);
+        assert.throws(() => resolveSeeds({ startUrls: ['https://example.com/'] }), /No valid start URLs/);
+    });
+});
+
+describe('seedTags', () => {
+    it('lists every seed that found the tool and the keywords among them', () => {
+        const keywordSeeds = new Map([[IMAGE, 'image'], [VIDEO, 'video']]);
+        assert.deepEqual(seedTags(new Set([CATEGORY, VIDEO]), keywordSeeds), { keywords: ['video'], seedUrls: [CATEGORY, VIDEO] });
+        assert.deepEqual(seedTags(undefined, keywordSeeds), { keywords: null, seedUrls: null });
+    });
+});
@@ -0,0 +1,72 @@
+import { gzipSync } from 'node:zlib';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    decodeSitemap, emptySitemapState, loadSitemapState, nextSitemapState, parseSitemap, sitemapToolEntries, unchangedSince,
+} from '../src/sitemap.js';
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <sitemap><loc>https://alternativeto.net/sitemaps/software-1.xml.gz</loc><lastmod>2026-10-01</lastmod></sitemap>
+    <sitemap><loc>https://alternativeto.net/sitemaps/categories.xml</loc></sitemap>
+</sitemapindex>`;
+
+const URLSET = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc>https://alternativeto.net/software/gimp/</loc><lastmod>2026-09-30T12:00:00+02:00</lastmod></url>
+    <url><loc>https://alternativeto.net/software/gimp/about/</loc><lastmod>2026-10-02</lastmod></url>
+    <url><loc>https://alternativeto.net/software/gimp</loc><lastmod>2026-10-01</lastmod></url>
+    <url><loc>https://alternativeto.net/software/krita/</loc><lastmod>not a date</lastmod></url>
+    <url><loc>https://alternativeto.net/category/photos/</loc></url>
+</urlset>`;
+
+describe('parseSitemap', () => {
+    it('reads child sitemaps from an index', () => {
+        assert.deepEqual(parseSitemap(INDEX), {
+            sitemaps: [
+                { loc: 'https://alternativeto.net/sitemaps/software-1.xml.gz', lastmod: '2026-10-01T00:00:00.000Z' },
+                { loc: 'https://alternativeto.net/sitemaps/categories.xml', lastmod: null },
+            ],
+            urls: [],
+        });
+    });
+
+    it('reads gzipped and plain bodies alike', () => {
+        assert.equal(decodeSitemap(gzipSync(Buffer.from(URLSET))), URLSET);
+        assert.equal(decodeSitemap(Buffer.from(URLSET)), URLSET);
+        assert.equal(parseSitemap(decodeSitemap(gzipSync(URLSET))).urls.length, 5);
+    });
+});
+
+describe('sitemapToolEntries', () => {
+    it('keeps one entry per tool page with its latest lastmod', () => {
+        assert.deepEqual(sitemapToolEntries(parseSitemap(URLSET).urls), [
+            { url: 'https://alternativeto.net/software/gimp/', lastmod: '2026-10-01T00:00:00.000Z' },
+            { url: 'https://alternativeto.net/software/krita/', lastmod: null },
+        ]);
+    });
+});
+
+describe('sitemap state', () => {
+    const state = nextSitemapState(emptySitemapState(), new Map([
+        ['https://alternativeto.net/software/gimp/', '2026-10-01T00:00:00.000Z'],
+        ['https://alternativeto.net/software/krita/', null],
+    ]), '2026-10-18T00:00:00.000Z');
+
+    it('skips tools whose lastmod has not moved since they were scraped', () => {
+        const gimp = 'https://alternativeto.net/software/gimp/';
+        assert.equal(unchangedSince(state, { url: gimp, lastmod: '2026-10-01T00:00:00.000Z' }), true);
+        assert.equal(unchangedSince(state, { url: gimp, lastmod: '2026-10-05T00:00:00.000Z' }), false);
+    });
+
+    it('never skips tools without a lastmod', () => {
+        assert.deepEqual(Object.keys(state.tools), ['https://alternativeto.net/software/gimp/']);
+        assert.equal(unchangedSince(state, { url: 'https://alternativeto.net/software/krita/', lastmod: null }), false);
+    });
+
+    it('starts over from an unrecognized stored value', () => {
+        assert.deepEqual(loadSitemapState({ version: 0, tools: { a: 'b' } }), emptySitemapState());
+        assert.deepEqual(loadSitemapState(JSON.parse(JSON.stringify(state))), state);
+    });
+});
@@ -0,0 +1,68 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadSnapshots, parseSnapshot, replaySeeds, snapshotId } from '../src/snapshots.js';
+
+const CATEGORY = 'https://alternativeto.net/category/ai-tools/ai-image-generator/';
+const SEARCH = 'https://alternativeto.net/browse/search/?q=paint';
+
+describe('snapshotId', () => {
+    it('is stable per URL and differs between URLs', () => {
+        assert.match(snapshotId(CATEGORY), /^page-[0-9a-f]{16}$/);
+        assert.equal(snapshotId(CATEGORY), snapshotId(CATEGORY));
+        assert.notEqual(snapshotId(CATEGORY), snapshotId(`${CATEGORY}?p=2`));
+    });
+});
+
+describe('parseSnapshot', () => {
+    it('takes the URL, page number and payloads from the metadata', () => {
+        const snapshot = parseSnapshot('<html></html>', { url: `${CATEGORY}?p=2`, pageNo: 2, apiPayloads: [{ a: 1 }] });
+        assert.deepEqual(snapshot, { url: `${CATEGORY}?p=2`, html: '<html></html>', apiPayloads: [{ a: 1 }], pageNo: 2 });
+    });
+
+    it('falls back to the canonical link and the URL\'s page number for hand-saved pages', () => {
+        const snapshot = parseSnapshot(`<html><head><link rel="canonical" href="${CATEGORY}?p=3"></head></html>`);
+        assert.equal(snapshot.url, `${CATEGORY}?p=3`);
+        assert.equal(snapshot.pageNo, 3);
+        assert.deepEqual(snapshot.apiPayloads, []);
+    });
+
+    it('is null without any URL', () => {
+        assert.equal(parseSnapshot('<html><body>Saved page</body></html>'), null);
+    });
+});
+
+describe('loadSnapshots', () => {
+    let dir;
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'snapshots-'));
+        const id = snapshotId(CATEGORY);
+        await writeFile(join(dir, `${id}.html`), '<html></html>');
+        await writeFile(join(dir, `${id}-meta.json`), JSON.stringify({ url: CATEGORY, pageNo: 1 }));
+        await writeFile(join(dir, 'search.html'), `<html><head><meta property="og:url" content="${SEARCH}"></head></html>`);
+        await writeFile(join(dir, 'orphan.html'), '<html></html>');
+        await writeFile(join(dir, 'notes.txt'), 'not a page');
+    });
+    after(() => rm(dir, { recursive: true, force: true }));
+
+    it('reads pages with or without a meta file and reports the ones without a URL', async () => {
+        const { snapshots, skipped } = await loadSnapshots(dir);
+        assert.deepEqual([...snapshots.keys()].sort(), [SEARCH, CATEGORY].sort());
+        assert.deepEqual(skipped, ['orphan.html']);
+    });
+});
+
+describe('replaySeeds', () => {
+    const snapshots = new Map([[CATEGORY, {}], [SEARCH, {}]]);
+
+    it('starts from the start URLs that have a snapshot', () => {
+        assert.deepEqual(replaySeeds([SEARCH, 'https://alternativeto.net/category/other/'], snapshots), [SEARCH]);
+    });
+
+    it('replays every snapshot when no start URL has one', () => {
+        assert.deepEqual(replaySeeds(['https://alternativeto.net/category/other/'], snapshots), [CATEGORY, SEARCH]);
+    });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CRAWL_STATE_VERSION, packState, unpackState } from '../src/state.js';
+
+describe('crawl state', () => {
+    const fields = {
+        pushed: 3,
+        pushedUrls: new Set(['https://alternativeto.net/software/gimp/']),
+        sightings: new Map([['https://alternativeto.net/software/gimp/', new Set(['https://alternativeto.net/browse/search/?q=image'])]]),
+        outbox: new Map([['https://alternativeto.net/software/gimp/', { url: 'https://alternativeto.net/software/gimp/', platforms: ['Linux'] }]]),
+        observations: [{ url: 'https://alternativeto.net/software/gimp/', likes: 10 }],
+        browserPhase: false,
+    };
+
+    it('round-trips Sets, nested Maps and plain values through JSON', () => {
+        const saved = JSON.parse(JSON.stringify(packState(fields, '2026-10-18T00:00:00.000Z')));
+        assert.equal(saved.version, CRAWL_STATE_VERSION);
+        assert.deepEqual(unpackState(saved), fields);
+    });
+
+    it('ignores missing or foreign records', () => {
+        for (const value of [null, undefined, 'x', { version: 0, fields: {} }, { version: CRAWL_STATE_VERSION }]) {
+            assert.equal(unpackState(value), null);
+        }
+    });
+});
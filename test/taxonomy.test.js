@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cleanItem, mergeItem } from '../src/extractors.js';
+import { canonicalPlatform, countryCode, countryFromCode, licensingOf, originsOf, platformIdsOf } from '../src/taxonomy.js';
+
+// Cost / license strings as they appear on AlternativeTo listing cards, about pages and Flight data
+const OBSERVED = [
+    // [pricing, cost, license] → [pricingModel, isOpenSource, licenseFamily]
+    [['Free', 'Free | Open Source', 'Open Source'], ['free', true, null]],
+    [['Freemium', 'Freemium | Proprietary', 'Proprietary'], ['freemium', false, 'Proprietary']],
+    [['Paid', 'Paid | Proprietary', 'Proprietary'], ['paid', false, 'Proprietary']],
+    [['Free', 'Free | Proprietary', 'Proprietary'], ['free', false, 'Proprietary']],
+    [['Free Personal', 'Free Personal | Proprietary', 'Proprietary'], ['freemium', false, 'Proprietary']],
+    [['Paid', 'Paid | Open Source', 'Open Source'], ['paid', true, null]],
+    [[null, null, 'GPL-3.0'], [null, true, 'GPL']],
+    [[null, null, 'GNU General Public License v2.0'], [null, true, 'GPL']],
+    [[null, null, 'LGPL-2.1'], [null, true, 'LGPL']],
+    [[null, null, 'AGPL-3.0'], [null, true, 'AGPL']],
+    [[null, null, 'MIT License'], [null, true, 'MIT']],
+    [[null, null, 'Apache License 2.0'], [null, true, 'Apache']],
+    [[null, null, 'BSD-3-Clause'], [null, true, 'BSD']],
+    [[null, null, 'MPL-2.0'], [null, true, 'MPL']],
+    [[null, null, 'Public Domain'], [null, true, 'Public Domain']],
+    [['Subscription', null, null], ['subscription', null, null]],
+    [['$9.99 per month', null, null], ['subscription', null, null]],
+    [['One-time purchase', null, 'Proprietary'], ['one-time', false, 'Proprietary']],
+    [['Free Trial', 'Free Trial | Proprietary', null], ['trial', false, 'Proprietary']],
+    [['Ad-supported', null, null], [null, null, null]],
+];
+
+describe('licensingOf', () => {
+    for (const [[pricing, cost, license], [pricingModel, isOpenSource, licenseFamily]] of OBSERVED) {
+        it(`maps ${JSON.stringify([pricing, cost, license].filter(Boolean).join(' / '))}`, () => {
+            assert.deepEqual(licensingOf({ pricing, cost, license }), { pricingModel, isOpenSource, licenseFamily });
+        });
+    }
+});
+
+describe('normalized fields on items', () => {
+    it('are added by cleanItem next to the raw strings', () => {
+        const item = cleanItem({ url: 'https://alternativeto.net/software/krita/', cost: 'Free | Open Source' });
+        assert.equal(item.cost, 'Free | Open Source');
+        assert.equal(item.pricingModel, 'free');
+        assert.equal(item.isOpenSource, true);
+    });
+
+    it('are recomputed when mergeItem fills in the license', () => {
+        const url = 'https://alternativeto.net/software/gimp/';
+        const merged = mergeItem(cleanItem({ url, pricing: 'Free' }), cleanItem({ url, license: 'GPL-3.0' }));
+        assert.deepEqual([merged.pricingModel, merged.isOpenSource, merged.licenseFamily], ['free', true, 'GPL']);
+    });
+});
+
+describe('platform vocabulary', () => {
+    it('maps AlternativeTo platform labels to canonical ids', () => {
+        const labels = {
+            Windows: 'windows', Mac: 'mac', 'Mac OS X': 'mac', Linux: 'linux', Flatpak: 'linux', Online: 'web',
+            Android: 'android', 'Android Tablet': 'android', iPhone: 'ios', iPad: 'ios', 'Self-Hosted': 'self-hosted',
+            'Google Chrome': 'browser-extension', Firefox: 'browser-extension', 'Chrome OS': 'chrome-os',
+            Discord: 'chat-app', Xbox: 'game-console', 'Windows Phone': null, Wine: null,
+        };
+        for (const [label, id] of Object.entries(labels)) assert.equal(canonicalPlatform(label), id, label);
+    });
+
+    it('deduplicates ids and drops labels without one', () => {
+        assert.deepEqual(platformIdsOf(['iPhone', 'iPad', 'Online', 'Wine']), ['ios', 'web']);
+    });
+});
+
+describe('origin codes', () => {
+    it('resolves names, codes and common spellings to ISO codes', () => {
+        assert.deepEqual(originsOf(['Germany', 'us', 'USA', 'UK', 'Turkey', 'Czech Republic']), [
+            { code: 'DE', name: 'Germany' },
+            { code: 'US', name: 'United States' },
+            { code: 'GB', name: 'United Kingdom' },
+            // The English name ICU gives TR changed between versions ('Turkey' → 'Türkiye')
+            { code: 'TR', name: countryFromCode('TR') },
+            { code: 'CZ', name: 'Czechia' },
+        ]);
+    });
+
+    it('folds case and accents the same in every locale', () => {
+        for (const name of ['Türkiye', 'TÜRKIYE', 'turkiye', 'TURKEY']) assert.equal(countryCode(name), 'TR', name);
+        assert.equal(countryCode('GERMANY'), 'DE');
+        assert.equal(countryCode('  Czech   Republic '), 'CZ');
+    });
+
+    it('keeps unrecognized names without a code and accepts existing entries', () => {
+        assert.deepEqual(originsOf(['Worldwide', { code: 'FR', name: 'France' }, 'ZZ']), [
+            { code: null, name: 'Worldwide' },
+            { code: 'FR', name: 'France' },
+            { code: null, name: 'ZZ' },
+        ]);
+    });
+
+    it('merges origins from different extractors by code', () => {
+        const url = 'https://alternativeto.net/software/krita/';
+        const merged = mergeItem(cleanItem({ url, origins: ['DE'] }), cleanItem({ url, origins: ['Germany'] }));
+        assert.deepEqual(merged.origins, [{ code: 'DE', name: 'Germany' }]);
+    });
+});
@@ -0,0 +1,32 @@
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+
+import { cleanItem, extractFromPage } from '../src/extractors.js';
+import { createItemValidator, loadItemSchema } from '../src/validation.js';
+
+const validate = createItemValidator(await loadItemSchema());
+const krita = cleanItem({ url: 'https://alternativeto.net/software/krita/', title: 'Krita', likes: 1204, logoUrl: 'https://d4.alternativeto.net/krita.png' });
+
+describe('dataset schema validation', () => {
+    it('accepts items extracted from every fixture', () => {
+        for (const name of ['flight.html', 'flight-refs.html', 'next-data.html', 'json-ld.html', 'cards.html']) {
+            const $ = load(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+            for (const item of extractFromPage($, 'https://alternativeto.net/software/gimp/')) {
+                assert.equal(validate(item), null, `${name}: ${item.url}`);
+            }
+        }
+    });
+
+    it('reports each violated field', () => {
+        const errors = validate({ ...krita, likes: -3, logoUrl: 'not a url', rating: '4.5' });
+        assert.deepEqual(errors.map((e) => e.path).sort(), ['/likes', '/logoUrl', '/rating']);
+    });
+
+    it('requires a url', () => {
+        const withoutUrl = { ...krita };
+        delete withoutUrl.url;
+        assert.deepEqual(validate(withoutUrl), [{ path: '/url', message: "must have required property 'url'" }]);
+    });
+});